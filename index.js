@@ -2,4 +2,11 @@
 const LIB_LOCATION = "./lib/";
 
 const Adafruit_SH1106_Module = require(LIB_LOCATION + "Adafruit_SH1106.js");
-module.exports = {...Adafruit_SH1106_Module}
+const Mixin_Emulator_Display_Module = require(LIB_LOCATION + "Mixin_Emulator_Display.js");
+const SH1106_PanelProfiles_Module = require(LIB_LOCATION + "SH1106_PanelProfiles.js");
+const SH1106_Image_Module = require(LIB_LOCATION + "SH1106_Image.js");
+const SH1106_PowerManager_Module = require(LIB_LOCATION + "SH1106_PowerManager.js");
+const SH1106_MultiDisplay_Module = require(LIB_LOCATION + "SH1106_MultiDisplay.js");
+const SH1106_Patterns_Module = require(LIB_LOCATION + "SH1106_Patterns.js");
+module.exports = {...Adafruit_SH1106_Module, ...Mixin_Emulator_Display_Module, ...SH1106_PanelProfiles_Module, ...SH1106_Image_Module, ...SH1106_PowerManager_Module,
+                  ...SH1106_MultiDisplay_Module, ...SH1106_Patterns_Module}
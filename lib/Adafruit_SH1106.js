@@ -39,10 +39,17 @@
  */
 
 'use strict';
+const fs = require("fs");
+const Util = require("util");
 const Adafruit_GFX_Library = require("@lynniemagoo/adafruit-gfx-library");
 const Adafruit_GrayOLED = Adafruit_GFX_Library.Display.Adafruit_GrayOLED;
+const GFXcanvas1_PackedColumn = Adafruit_GFX_Library.Canvas.GFXcanvas1_PackedColumn;
 const {sleepMs, extractOption} = Adafruit_GFX_Library.Utils;
 const delay = sleepMs;
+const {getPanelProfile} = require("./SH1106_PanelProfiles.js");
+const {encodePNG, encodePBM, imageTo1Bit} = require("./SH1106_Image.js");
+const {SH1106_Pattern} = require("./SH1106_Patterns.js");
+const {SH1106_PowerStates} = require("./SH1106_PowerManager.js");
 
 const splash1 = {width:0,height:0,data:null};
 const splash2 = {width:0,height:0,data:null};
@@ -64,7 +71,9 @@ try {
 
 const toInt = Math.trunc,
       fMin = Math.min,
-      fMax = Math.max;
+      fMax = Math.max,
+      fAbs = Math.abs,
+      fRound = Math.round;
 
 
 //==========================================================================================================================================
@@ -104,7 +113,7 @@ const SH1106_LOWER_COLUMN_ADDR                    = 0x00; // Values 0x00 to 0x0F
 const SH1106_HIGHER_COLUMN_ADDR                   = 0x10; // Values 0x10 to 0x1F are allowed.  This is used to set the high order nibble of the column address 0-131
 const SH1106_PAGE_ADDR                            = 0xB0; // Values 0xB0 to 0xB7 are allowed.  This is used to set the page address between 0-7.
 
-// Unused - not currently set so use the default.
+// Panel must be off when issuing these commands.
 const SH1106_PUMP_VOLTAGE_0                      = 0x30; // Set Pump Output Voltage to 6.4 volts
 const SH1106_PUMP_VOLTAGE_1                      = 0x31; // Set Pump Output Voltage to 7.4 volts
 const SH1106_PUMP_VOLTAGE_2                      = 0x32; // Set Pump Output Voltage to 8.0 volts [reset]
@@ -113,6 +122,7 @@ const SH1106_PUMP_VOLTAGE_3                      = 0x33; // Set Pump Output Volt
 const SH1106_SET_START_LINE                       = 0x40  // Set Display Start Line 0x40 - 0x7F (0-63)
 
 // Used - Replaced PRECHARGE - Also see PUMP_VOLTAGE above.
+// DC_DC_CONTROL_MODE_SET must be followed by either DC_DC_OFF or DC_DC_ON.
 const SH1106_DC_DC_OFF                            = 0x8A; // Panel must be off when issuing this command
 const SH1106_DC_DC_ON                             = 0x8B; // Panel must be off when issuing this command
 const SH1106_DC_DC_CONTROL_MODE_SET               = 0xAD; // Panel must be off when issuing this command
@@ -125,17 +135,10 @@ const SH1106_READ_MODIFY_WRITE_END                = 0xEE; // See Datasheet - Not
 //==========================================================================================================================================
 //==========================================================================================================================================
 const SH1106_INIT_SEQ_1 = [
-    SH1106_DISPLAY_OFF,
-    SH1106_SET_DISPLAY_CLOCK_DIV,  0x80
-];
-
-const SH1106_INIT_SEQ_2 = [
-    SH1106_SEG_REMAP_FLIP,
-    SH1106_COM_SCAN_DEC
+    SH1106_DISPLAY_OFF
 ];
 
 const SH1106_INIT_SEQ_3 = [
-    SH1106_SET_VCOM_DETECT, 0x35,
     SH1106_DISPLAY_ALL_ON_RESUME,
     SH1106_NORMAL_DISPLAY
 ];
@@ -149,215 +152,2250 @@ const BLACK = SH1106_BLACK;
 const WHITE = SH1106_WHITE;
 const INVERSE = SH1106_INVERSE;
 
-// Used for VLine functions below.
-const SH1106_VLINE_PRE_MASK = [0x00, 0x80, 0xC0, 0xE0, 0xF0, 0xF8, 0xFC, 0xFE];
-const SH1106_VLINE_POST_MASK = [0x00, 0x01, 0x03, 0x07, 0x0F, 0x1F, 0x3F, 0x7F];
+// Number of columns in SH1106 display RAM.
+const SH1106_RAM_COLUMNS = 132;
+
+// Default init settings.
+const SH1106_DEFAULT_CLOCK_DIV = 0x80;   // Divide ratio 1, oscillator frequency +15%
+const SH1106_DEFAULT_PRECHARGE = 0xF1;   // Precharge 1 DCLK, discharge 15 DCLKs
+const SH1106_DEFAULT_VCOM_DETECT = 0x35; // [reset]
+
+// Commands followed by an argument byte.
+const SH1106_TWO_BYTE_COMMANDS = [
+    SH1106_SET_CONTRAST,
+    SH1106_SET_MULTIPLEX,
+    SH1106_DC_DC_CONTROL_MODE_SET,
+    SH1106_SET_DISPLAY_OFFSET,
+    SH1106_SET_DISPLAY_CLOCK_DIV,
+    SH1106_SET_PRECHARGE,
+    SH1106_SET_COM_PINS,
+    SH1106_SET_VCOM_DETECT
+];
+
+// Allowed COM pins hardware configurations.
+const SH1106_COM_PINS_SEQUENTIAL = 0x02;
+const SH1106_COM_PINS_ALTERNATIVE = 0x12;
+
+// Pump output voltage commands keyed by voltage.
+const SH1106_PUMP_VOLTAGES = Object.freeze({
+    6.4: SH1106_PUMP_VOLTAGE_0,
+    7.4: SH1106_PUMP_VOLTAGE_1,
+    8.0: SH1106_PUMP_VOLTAGE_2,
+    9.0: SH1106_PUMP_VOLTAGE_3
+});
+
+// Time to wait after turning on the DC-DC converter before turning on the panel.
+const SH1106_DC_DC_SETTLE_MS = 100;
+
+// Default vertical scroll speed in lines per second.
+const SH1106_DEFAULT_SCROLL_SPEED = 10;
+
+// Burn-in guard defaults - shift by one pixel every minute.
+const SH1106_DEFAULT_BURN_IN_INTERVAL_MS = 60000;
+const SH1106_DEFAULT_BURN_IN_AMPLITUDE = 1;
+const SH1106_BURN_IN_PATTERNS = Object.freeze(["box", "horizontal", "vertical", "random"]);
+
+// Blend modes of compositeLayer() - dst is the buffer byte, src the layer byte and affect the bits
+// that are inside the layer, its mask and the clip rectangle.
+const SH1106_BLEND_MODES = Object.freeze({
+    "or":      (dst, src, affect) => dst | (src & affect),
+    "and":     (dst, src, affect) => dst & (src | ~affect),
+    "xor":     (dst, src, affect) => dst ^ (src & affect),
+    "replace": (dst, src, affect) => (dst & ~affect) | (src & affect),
+    "mask":    (dst, src, affect) => dst & ~(src & affect)
+});
+
+// Grayscale defaults - full gray frames (all bit-planes) per second wanted and the rate below
+// which startGrayscale() falls back to showing the most significant plane only.
+const SH1106_DEFAULT_GRAY_FPS = 30;
+const SH1106_DEFAULT_GRAY_MIN_FPS = 15;
+// Colors returned by grayColor() for the levels between off and full - the level is in the low byte.
+const SH1106_GRAY_LEVEL = 0x100;
+
+// Default frame rate of startRenderLoop().
+const SH1106_DEFAULT_FPS = 30;
+
+// Unchanged bytes between two changed column runs that are sent anyway rather
+// than starting a new run - a new run costs 3 address command bytes.
+const SH1106_DEFAULT_SHADOW_MERGE_GAP = 3;
+
+// Interval between contrast updates while fading.
+const SH1106_FADE_STEP_MS = 20;
+
+// Used for VLine functions below.
+const SH1106_VLINE_PRE_MASK = [0x00, 0x80, 0xC0, 0xE0, 0xF0, 0xF8, 0xFC, 0xFE];
+const SH1106_VLINE_POST_MASK = [0x00, 0x01, 0x03, 0x07, 0x0F, 0x1F, 0x3F, 0x7F];
+
+
+function _validateRange(name, value, min, max) {
+    if (!Number.isInteger(value) || (value < min) || (value > max)) {
+        throw new Error(Util.format("Invalid %s: %o. Expected an integer between %d and %d.", name, value, min, max));
+    }
+    return value;
+}
+
+
+function _validateComPins(comPins) {
+    if ((comPins !== SH1106_COM_PINS_SEQUENTIAL) && (comPins !== SH1106_COM_PINS_ALTERNATIVE)) {
+        throw new Error(Util.format("Invalid comPins: %o. Expected 0x02 (sequential) or 0x12 (alternative).", comPins));
+    }
+    return comPins;
+}
+
+
+function _validateInitSequence(initSequence) {
+    if (!initSequence || !(initSequence.length > 0)) {
+        throw new Error("Invalid initSequence: Expected a non-empty array of command bytes.");
+    }
+    Array.prototype.forEach.call(initSequence, (cmd, i) => _validateRange("initSequence[" + i + "]", cmd, 0x00, 0xFF));
+    return Array.from(initSequence);
+}
+
+
+function _validateSplash(splash) {
+    if (typeof splash === "function") {
+        return splash;
+    }
+    if (typeof splash === "string") {
+        // Read now so that a bad path is reported by the constructor.
+        return fs.readFileSync(splash);
+    }
+    if (splash && Number.isInteger(splash.width) && Number.isInteger(splash.height) &&
+        (splash.width > 0) && (splash.height > 0) && splash.data &&
+        (splash.data.length >= ((splash.width + 7) >> 3) * splash.height)) {
+        return splash;
+    }
+    throw new Error("Invalid splash: Expected a bitmap {width, height, data}, an image file path or a function.");
+}
+
+
+// Build the list of [x, y] shifts visited by the burn-in guard.  Named patterns step one pixel
+// at a time and run back and forth so there is never a jump of more than one pixel.
+function _burnInShifts(pattern, amplitude) {
+    if (Array.isArray(pattern)) {
+        if (!pattern.length || !pattern.every(p => Array.isArray(p) && Number.isInteger(p[0]) && Number.isInteger(p[1]) &&
+                                                   (fAbs(p[0]) <= amplitude) && (fAbs(p[1]) <= amplitude))) {
+            throw new Error(Util.format("Invalid pattern: Expected a list of [x, y] shifts within the amplitude of %d.", amplitude));
+        }
+        return pattern.map(p => [p[0], p[1]]);
+    }
+    const shifts = [];
+    switch (pattern) {
+        case "horizontal":
+        case "vertical":
+            for (let i = -amplitude; i <= amplitude; i++) {
+                shifts.push((pattern === "horizontal") ? [i, 0] : [0, i]);
+            }
+            break;
+        case "box":
+            // Serpentine over the square of all shifts.
+            for (let y = -amplitude; y <= amplitude; y++) {
+                const row = [];
+                for (let x = -amplitude; x <= amplitude; x++) {
+                    row.push([x, y]);
+                }
+                shifts.push.apply(shifts, ((y + amplitude) & 1) ? row.reverse() : row);
+            }
+            break;
+        case "random":
+            return null;
+        default:
+            throw new Error(Util.format("Invalid pattern: %o. Expected one of %s or a list of [x, y] shifts.", pattern, SH1106_BURN_IN_PATTERNS.join(", ")));
+    }
+    // Back and forth, without repeating the ends.
+    return shifts.concat(shifts.slice(1, -1).reverse());
+}
+
+
+function _validateBlendMode(mode) {
+    if (!SH1106_BLEND_MODES.hasOwnProperty(mode)) {
+        throw new Error(Util.format("Invalid mode: %o. Expected one of %s.", mode, Object.keys(SH1106_BLEND_MODES).join(", ")));
+    }
+    return SH1106_BLEND_MODES[mode];
+}
+
+
+function _validatePumpVoltage(volts) {
+    if (!SH1106_PUMP_VOLTAGES.hasOwnProperty(volts)) {
+        // Keys such as "8" and "9" are integer keys which Object.keys() lists first.
+        const allowed = Object.keys(SH1106_PUMP_VOLTAGES).map(Number).sort((a, b) => a - b).map(v => v.toFixed(1));
+        throw new Error(Util.format("Invalid pumpVoltage: %o. Expected one of %s.", volts, allowed.join(", ")));
+    }
+    return Number(volts);
+}
+
+
+class Adafruit_SH1106 extends Adafruit_GrayOLED {
+    /**************************************************************************/
+    /*!
+        @brief  Constructor for SH1106 OLED displays.
+                a series of LCD commands stored in PROGMEM byte array.
+        @param  options  Object specifying options to use for the display
+
+    */
+    /**************************************************************************/
+    constructor(options) {
+        // Options passed explicitly override those of the selected panel profile.
+        const panel = extractOption(Object.assign({}, options), "panel", null);
+        options = Object.assign({}, (null === panel) ? null : getPanelProfile(panel), options);
+
+        const optionsShallow = Object.assign({}, options);
+        // set bpp prior to invoking super().
+        optionsShallow["bpp"] = 1;
+        super(optionsShallow);
+        const self = this;
+
+        // Extract option and ensure if not specified, we specify value false to force splash screen.
+        self._noSplash = !!extractOption(options, "noSplash", false);
+        // Custom splash - a bitmap {width, height, data} as used by draw1BitBitmap(), a PNG/PBM/PGM
+        // file path or a function(display) that draws into the buffer.
+        const splash = extractOption(options, "splash", null);
+        self._splash = (null === splash) ? null : _validateSplash(splash);
+
+        // Initialize with default value for the 128x32 display with 0x8F.
+        self._contrast = _validateRange("contrast", extractOption(options, "contrast", 0x8F), 0x00, 0xFF);
+        self._dimmed = false;
+        self._displayOn = false;
+
+        // Charge pump output voltage and DC-DC converter.  Reset values are 8.0 volts and on.
+        self._pumpVoltage = _validatePumpVoltage(extractOption(options, "pumpVoltage", 8.0));
+        self._dcdcEnabled = !!extractOption(options, "dcdc", true);
+
+        // Init timing settings.  For clone modules, initSequence may be used to replace the whole
+        // init command list sent by begin().
+        self._clockDiv = _validateRange("clockDiv", extractOption(options, "clockDiv", SH1106_DEFAULT_CLOCK_DIV), 0x00, 0xFF);
+        self._precharge = _validateRange("precharge", extractOption(options, "precharge", SH1106_DEFAULT_PRECHARGE), 0x00, 0xFF);
+        self._vcomDetect = _validateRange("vcomDetect", extractOption(options, "vcomDetect", SH1106_DEFAULT_VCOM_DETECT), 0x00, 0xFF);
+        const comPins = extractOption(options, "comPins", null);
+        self._comPins = (null === comPins) ? null : _validateComPins(comPins);
+        // Multiplex ratio 16 to 64 - defaults to screen height.  A smaller ratio would leave
+        // the bottom rows of the buffer undriven.
+        self._multiplex = _validateRange("multiplex", extractOption(options, "multiplex", self.HEIGHT - 1), fMax(15, self.HEIGHT - 1), 63);
+        const initSequence = extractOption(options, "initSequence", null);
+        self._initSequence = (null === initSequence) ? null : _validateInitSequence(initSequence);
+
+        // Used for testing overrides if needed.
+        self._displayOffset = extractOption(options, "displayOffset", 0);
+        self._startLine = extractOption(options, "startLine", 0);
+        // Hardware vertical scroll - number of lines added to _startLine.
+        self._scrollOffset = 0;
+        self._scrollTimer = null;
+        // Burn-in guard - see startBurnInGuard().
+        self._burnInShiftX = 0;
+        self._burnInShiftY = 0;
+        self._burnInTimer = null;
+        // Set by SH1106_PowerManager while attached.
+        self._powerManager = null;
+        // Frame scheduler - see startRenderLoop().
+        self._renderTimer = null;
+        self._framePending = false;
+        self._frameInFlight = false;
+        self._renderStats = {frames:0, dropped:0, errors:0, lastFrameMs:0, averageFrameMs:0, lastError:null};
+        // SH1106 supports 132x64 but display only is 128x32/64 so must use a column offset of 2.
+        self.page_offset = extractOption(options, "pageOffset", 0);
+        self.column_offset = extractOption(options, "colOffset", 2);
+
+        // Hardware mirroring.  upsideDown mirrors both axes for modules mounted upside down.
+        const mirror = Object.assign({}, extractOption(options, "mirror", null)),
+              upsideDown = !!extractOption(options, "upsideDown", false);
+        self._mirrorHorizontal = !!extractOption(mirror, "horizontal", false) !== upsideDown;
+        self._mirrorVertical = !!extractOption(mirror, "vertical", false) !== upsideDown;
+
+        self._buffer = new Uint8Array(self.WIDTH * toInt((self.HEIGHT + 7) / 8));
+
+        // Optional off-screen canvas larger than the panel - see setViewport().
+        const virtualWidth = extractOption(options, "virtualWidth", null),
+              virtualHeight = extractOption(options, "virtualHeight", null);
+        self._virtualCanvas = ((null === virtualWidth) && (null === virtualHeight)) ? null :
+            new GFXcanvas1_PackedColumn({width:_validateRange("virtualWidth", (null === virtualWidth) ? self.WIDTH : virtualWidth, 1, 0x7FFF),
+                                         height:_validateRange("virtualHeight", (null === virtualHeight) ? self.HEIGHT : virtualHeight, 1, 0x7FFF)});
+        self._viewportX = 0;
+        self._viewportY = 0;
+
+        // Temporal dither grayscale - bit-planes from least to most significant.  The most significant
+        // plane is _buffer itself so that everything else sees a thresholded image.
+        const grayscaleBits = extractOption(options, "grayscaleBits", 1);
+        if (![1, 2, 4].includes(grayscaleBits)) {
+            throw new Error(Util.format("Invalid grayscaleBits: %o. Expected 1, 2 or 4.", grayscaleBits));
+        }
+        self._grayPlanes = (grayscaleBits === 1) ? null :
+            Array.from({length:grayscaleBits - 1}, _ => new Uint8Array(self._buffer.length)).concat([self._buffer]);
+        self._grayDrawing = false;
+        self._grayTimer = null;
+        self._grayPlane = 0;
+        self._grayInFlight = false;
+        self._grayStats = {measuredFps:0, fps:0, fallback:false, subframes:0, errors:0, lastError:null};
+
+        // Clip rectangle in logical coordinates, null for the whole screen - see setClipRect().
+        self._clip = null;
+        self._clipStack = [];
+        // Unrotated clip bounds [x1, y1, x2, y2) cached for _clipRawRotation.
+        self._clipRaw = null;
+        self._clipRawRotation = -1;
+        // Dirty column span of each page - first and last column, x1 > x2 when clean.
+        self._dirtyX1 = new Int16Array(toInt((self.HEIGHT + 7) / 8)).fill(self.WIDTH);
+        self._dirtyX2 = new Int16Array(toInt((self.HEIGHT + 7) / 8)).fill(-1);
+
+        // Optional copy of the panel RAM as last sent by display() so that unchanged bytes are skipped.
+        self._shadow = extractOption(options, "shadowRam", false) ? new Uint8Array(self._buffer.length) : null;
+        self._shadowValid = false;
+        self._shadowMergeGap = _validateRange("shadowMergeGap", extractOption(options, "shadowMergeGap", SH1106_DEFAULT_SHADOW_MERGE_GAP), 0, self.WIDTH);
+        self._shadowStats = {bytesSent:0, bytesSaved:0, runs:0};
+
+        // Settings in a user supplied init sequence win over the options above.
+        self._initSequence && self._adoptInitSequence(self._initSequence);
+    }
+
+
+    /**************************************************************************/
+    // Protected method to take over the contrast, mirror, DC-DC and pump
+    // voltage settings sent by a user supplied init sequence so that later
+    // commands, such as dim() or setMirror(), start from what the panel has.
+    // Other settings keep the values from the options.
+    /**************************************************************************/
+    _adoptInitSequence(sequence) {
+        const self = this;
+        for (let i = 0; i < sequence.length; i++) {
+            const cmd = sequence[i];
+            if (SH1106_TWO_BYTE_COMMANDS.includes(cmd)) {
+                const arg = sequence[++i];
+                if (undefined === arg) break;
+                if (SH1106_SET_CONTRAST === cmd) {
+                    self._contrast = arg;
+                } else if (SH1106_DC_DC_CONTROL_MODE_SET === cmd) {
+                    self._dcdcEnabled = !!(arg & 0x01);
+                }
+            } else if ((SH1106_SEG_REMAP_NORMAL === cmd) || (SH1106_SEG_REMAP_FLIP === cmd)) {
+                self._mirrorHorizontal = (SH1106_SEG_REMAP_NORMAL === cmd);
+            } else if ((SH1106_COM_SCAN_INC === cmd) || (SH1106_COM_SCAN_DEC === cmd)) {
+                self._mirrorVertical = (SH1106_COM_SCAN_INC === cmd);
+            } else if ((cmd >= SH1106_PUMP_VOLTAGE_0) && (cmd <= SH1106_PUMP_VOLTAGE_3)) {
+                self._pumpVoltage = Number(Object.keys(SH1106_PUMP_VOLTAGES).find(volts => SH1106_PUMP_VOLTAGES[volts] === cmd));
+            }
+        }
+        return self;
+    }
+
+
+    //===============================================================
+    // <BEGIN> NON - Adafruit implementations
+    //               Startup/Shutdown Invocation Order - See Display_Base class
+    //
+    //               _preStartup
+    //               begin()
+    //               _postStartup (turn off display or other things)
+    //
+    //               _preShutdown
+    //               // currently nothing defined for middle.
+    //               _postShutdown
+    //===============================================================
+    _preStartup() {
+        const self = this;
+        self._hardwareStartup();   // (setup SPI, I2C)
+        self._hardwareReset();     // (hardware reset for SPI)
+        return self;
+    }
+
+
+    _postStartup() {
+        return this;
+    }
+
+
+    _preShutdown() {
+        const self = this;
+        self.stopScroll();
+        self.stopRenderLoop();
+        self.stopBurnInGuard(false);
+        self.stopGrayscale(false);
+        self._powerManager && self._powerManager.stop();
+        self.enableDisplay(false);  // Turn off screen
+        return self;
+    }
+
+
+    _postShutdown() {
+        const self = this;
+        self._hardwareShutdown(); // (release SPI, I2C hardware)
+        return self;
+    }
+    //===============================================================
+    // <END> NON - Adafruit implementations
+    //===============================================================
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Modified Adafruit startup function - Options are passed in the
+                constructor.
+        @return  this
+    */
+    /**************************************************************************/
+    begin() {
+        const self = this, w = self.WIDTH, h = self.HEIGHT, rotation = self.rotation;
+
+        // A user supplied init sequence replaces the whole built-in sequence.
+        self.oled_commandList(self._initSequence || self._defaultInitSequence());
+        self.setRotation(rotation);
+        self._setMaxDirtyWindow();
+        self.invalidateShadowRam();
+
+        if (self._noSplash) {
+            self.clearDisplay();
+        } else if (self._splash) {
+            self._drawCustomSplash();
+        } else {
+            const splash = (h > 32) ? splash1 : splash2;
+            if (splash.data && splash.width && splash.height) {
+                self.draw1BitBitmap(toInt((w  - splash.width ) / 2),
+                                    toInt((h  - splash.height) / 2),
+                                    splash.data, 
+                                    splash.width, 
+                                    splash.height, SH1106_WHITE);
+            }
+        }
+        self.display();
+
+
+        self.enableDisplay(true);
+        return self;
+    }
+
+
+    /**************************************************************************/
+    // Protected method to draw the splash given with the 'splash' option.
+    // Bitmaps and images are centered, images larger than the screen are
+    // scaled down to fit.  A function must draw synchronously as begin()
+    // sends the buffer as soon as it returns.
+    /**************************************************************************/
+    _drawCustomSplash() {
+        const self = this, w = self.width(), h = self.height();
+        let splash = self._splash;
+        if (typeof splash === "function") {
+            const result = splash(self);
+            // The display itself is a thenable, so chained drawing calls may return it.
+            if (result && (result !== self) && (typeof result.then === "function")) {
+                throw new Error("Invalid splash: The function returned a promise. Expected it to draw synchronously.");
+            }
+            return self;
+        }
+        if (splash instanceof Uint8Array) {
+            splash = imageTo1Bit(splash);
+            if ((splash.width > w) || (splash.height > h)) {
+                splash = imageTo1Bit(self._splash, {width:w, height:h, fit:true});
+            }
+        }
+        return self.draw1BitBitmap(toInt((w - splash.width) / 2),
+                                   toInt((h - splash.height) / 2),
+                                   splash.data,
+                                   splash.width,
+                                   splash.height, SH1106_WHITE);
+    }
+
+
+    /**************************************************************************/
+    // Protected method to build the init command list sent by begin() from
+    // the options passed to the constructor.
+    /**************************************************************************/
+    _defaultInitSequence() {
+        const self = this;
+
+        // ComPins setting varies based on display unless specified.
+        let comPins = self._comPins;
+        if (null === comPins) {
+            if ((self.WIDTH == 128) && (self.HEIGHT == 64)) {
+                comPins = SH1106_COM_PINS_ALTERNATIVE;
+            } else {
+                // 128x32 and TBD.
+                comPins = SH1106_COM_PINS_SEQUENTIAL;
+            }
+        }
+
+        return [].concat(
+            SH1106_INIT_SEQ_1,
+            [SH1106_SET_DISPLAY_CLOCK_DIV, self._clockDiv,
+             // Multiplex is based on screen height unless specified.
+             SH1106_SET_MULTIPLEX, self._multiplex,
+             SH1106_DC_DC_CONTROL_MODE_SET, self._dcdcEnabled ? SH1106_DC_DC_ON : SH1106_DC_DC_OFF,
+             SH1106_PUMP_VOLTAGES[self._pumpVoltage]],
+            self._mirrorCommands(),
+            [SH1106_SET_DISPLAY_OFFSET, self._hardwareDisplayOffset(),
+             SH1106_SET_START_LINE | ((self._startLine + self._scrollOffset) & 0x3F),
+             SH1106_SET_COM_PINS, comPins,
+             SH1106_SET_CONTRAST, (self._dimmed ? 0 : self._contrast) & 0xFF,
+             SH1106_SET_PRECHARGE, self._precharge,
+             SH1106_SET_VCOM_DETECT, self._vcomDetect],
+            SH1106_INIT_SEQ_3);
+    }
+
+
+    /**************************************************************************/
+    // Protected method to get the segment remap and COM scan commands for the
+    // current mirror settings.
+    /**************************************************************************/
+    _mirrorCommands() {
+        const self = this;
+        // SEG_REMAP_FLIP + COM_SCAN_DEC is the normal orientation for these modules.
+        return [self._mirrorHorizontal ? SH1106_SEG_REMAP_NORMAL : SH1106_SEG_REMAP_FLIP,
+                self._mirrorVertical ? SH1106_COM_SCAN_INC : SH1106_COM_SCAN_DEC];
+    }
+
+
+    /**************************************************************************/
+    // Protected method to get the first RAM column written by display().
+    // When mirrored horizontally, the glass sees RAM from the other end so the
+    // offset is measured from the last of the 132 RAM columns.  The burn-in
+    // guard shift is limited to the spare RAM columns.
+    /**************************************************************************/
+    _ramColumnOffset() {
+        const self = this,
+              offset = self._mirrorHorizontal ? (SH1106_RAM_COLUMNS - self.WIDTH - self.column_offset) : self.column_offset,
+              shift = self._mirrorHorizontal ? -self._burnInShiftX : self._burnInShiftX;
+        return offset + fMin(fMax(shift, fMin(0, -offset)), fMax(0, SH1106_RAM_COLUMNS - self.WIDTH - offset));
+    }
+
+
+    /**************************************************************************/
+    // Protected method to get the display offset register value including the
+    // burn-in guard shift.
+    /**************************************************************************/
+    _hardwareDisplayOffset() {
+        const self = this;
+        return (self._displayOffset - self._burnInShiftY) & 0x3F;
+    }
+
+
+    /**************************************************************************/
+    // Protected method to clear the dirty window and the dirty span of
+    // every page.
+    /**************************************************************************/
+    _resetDirtyWindow() {
+        const self = this;
+        super._resetDirtyWindow();
+        self._dirtyX1.fill(self.WIDTH);
+        self._dirtyX2.fill(-1);
+        return self;
+    }
+
+
+    /**************************************************************************/
+    // Protected method to set the entire window dirty so display()
+    // will write full screen.
+    /**************************************************************************/
+    _setMaxDirtyWindow() {
+        const self = this;
+        super._setMaxDirtyWindow();
+        self._dirtyX1.fill(0);
+        self._dirtyX2.fill(self.WIDTH - 1);
+        return self;
+    }
+
+
+    /**************************************************************************/
+    // Protected method to mark buffer columns x1..x2 of rows y1..y2 dirty.
+    // Coordinates are unrotated and must already be clipped to the buffer.
+    /**************************************************************************/
+    _markDirty(x1, y1, x2, y2) {
+        const self = this, dirtyX1 = self._dirtyX1, dirtyX2 = self._dirtyX2;
+        self.window_x1 = fMin(self.window_x1, x1);
+        self.window_y1 = fMin(self.window_y1, y1);
+        self.window_x2 = fMax(self.window_x2, x2);
+        self.window_y2 = fMax(self.window_y2, y2);
+        for (let page = (y1 >> 3), pageEnd = (y2 >> 3); page <= pageEnd; page++) {
+            if (x1 < dirtyX1[page]) dirtyX1[page] = x1;
+            if (x2 > dirtyX2[page]) dirtyX2[page] = x2;
+        }
+        return self;
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Get the column spans display() will send.
+        @return Array of {page, x1, x2} objects, one per dirty page.  Columns
+                are buffer columns, not RAM columns.
+    */
+    /**************************************************************************/
+    getDirtySpans() {
+        const self = this, dirtyX1 = self._dirtyX1, dirtyX2 = self._dirtyX2, spans = [];
+        for (let page = 0; page < dirtyX1.length; page++) {
+            if (dirtyX2[page] >= dirtyX1[page]) {
+                spans.push({page, x1:dirtyX1[page], x2:dirtyX2[page]});
+            }
+        }
+        return spans;
+    }
+
+
+    /**************************************************************************/
+    // Protected method to call cb(page, colStart, count) for each run of
+    // buffer columns x1..x2 that differ from the shadow RAM.  Runs separated
+    // by no more than _shadowMergeGap unchanged bytes are merged.
+    /**************************************************************************/
+    _forEachChangedRun(page, x1, x2, cb) {
+        const self = this,
+              base = page * self.WIDTH,
+              buffer = self._buffer,
+              shadow = self._shadow,
+              mergeGap = self._shadowMergeGap,
+              stats = self._shadowStats;
+        let runStart = -1, runEnd = -1, sent = 0;
+        for (let x = x1; x <= x2; x++) {
+            if (buffer[base + x] !== shadow[base + x]) {
+                if ((runStart >= 0) && ((x - runEnd - 1) > mergeGap)) {
+                    cb(page, runStart, (runEnd - runStart) + 1);
+                    sent += (runEnd - runStart) + 1;
+                    stats.runs++;
+                    runStart = -1;
+                }
+                if (runStart < 0) {
+                    runStart = x;
+                }
+                runEnd = x;
+            }
+        }
+        if (runStart >= 0) {
+            cb(page, runStart, (runEnd - runStart) + 1);
+            sent += (runEnd - runStart) + 1;
+            stats.runs++;
+        }
+        stats.bytesSent += sent;
+        stats.bytesSaved += ((x2 - x1) + 1) - sent;
+        return self;
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Forget the shadow RAM so the next display() sends the whole
+                buffer.  Use after the panel RAM was changed by other means,
+                for example a hardware reset.
+        @return this
+        @note   Has no effect unless the display was created with the
+                'shadowRam' option.
+    */
+    /**************************************************************************/
+    invalidateShadowRam() {
+        this._shadowValid = false;
+        return this;
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Get the shadow RAM counters.
+        @return Object with bytesSent (data bytes sent after diffing),
+                bytesSaved (dirty bytes skipped as unchanged) and runs (number
+                of column runs sent).
+        @note   Full refreshes made while the shadow RAM is invalid are not
+                counted.
+    */
+    /**************************************************************************/
+    getShadowStats() {
+        return Object.assign({}, this._shadowStats);
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Reset the shadow RAM counters to zero.
+        @return this
+    */
+    /**************************************************************************/
+    resetShadowStats() {
+        const stats = this._shadowStats;
+        stats.bytesSent = stats.bytesSaved = stats.runs = 0;
+        return this;
+    }
+
+
+    // REFRESH DISPLAY ---------------------------------------------------------
+
+    /**************************************************************************/
+    /*!
+        @brief  Push data currently in RAM to SH1106 display.
+        @return this
+        @note   Drawing operations are not visible until this function is
+                called. Call after each graphics command, or after a whole set
+                of graphics commands, as best needed by one's own application.
+    */
+    /**************************************************************************/
+    display() {
+        const self = this, 
+              w = self.WIDTH,
+              h = self.HEIGHT,
+              buffer = self._buffer,
+              colOffset = self._ramColumnOffset(),
+              pageOffset = self.page_offset,
+              dirtyX1 = self._dirtyX1,
+              dirtyX2 = self._dirtyX2,
+              pages = dirtyX1.length,
+              shadow = self._shadow;
+
+        // Wakes the display if the power manager put it to sleep.
+        self._powerManager && self._powerManager._onDisplay();
+
+        // The grayscale cycle sends the bit-planes itself.
+        if (self._grayTimer) {
+            return self;
+        }
+
+        // Panel RAM contents unknown - send everything once.
+        if (shadow && !self._shadowValid) {
+            self._setMaxDirtyWindow();
+        }
+
+        const writeRun = (page, colStart, to_write) => {
+            const index = colStart + (page * w);
+            self.oled_commandList([SH1106_PAGE_ADDR | (page + pageOffset) & 0x0F,
+                                   SH1106_LOWER_COLUMN_ADDR | (colStart + colOffset) & 0x0F,
+                                   SH1106_HIGHER_COLUMN_ADDR | (((colStart + colOffset) >>> 4) & 0x0F)]);
+            // write buffer data one page at a time as the page address does not automatically increment.
+            self.oled_data(buffer.subarray(index, index + to_write));
+        };
+
+        // Only the dirty column span of each page is sent.
+        for (let page = 0; page < pages; page++) {
+            const colStart = dirtyX1[page],
+                  to_write = (dirtyX2[page] - colStart) + 1;
+            if (to_write > 0) {
+                if (shadow && self._shadowValid) {
+                    self._forEachChangedRun(page, colStart, dirtyX2[page], writeRun);
+                } else {
+                    writeRun(page, colStart, to_write);
+                }
+            }
+        }
+        if (shadow) {
+            shadow.set(buffer);
+            self._shadowValid = true;
+            // The panel RAM is unknown if the transfer fails.
+            self._queue.catch(_ => {
+                self._shadowValid = false;
+            });
+        }
+        self._resetDirtyWindow();
+        return self;
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Change whether display is on or off
+        @param   enable True if you want the display ON, false OFF
+        @return  this
+    */
+    /**************************************************************************/
+    enableDisplay(aValue) {
+        const self = this;
+        self._displayOn = !!aValue;
+        return self.oled_command(self._displayOn ? SH1106_DISPLAY_ON : SH1106_DISPLAY_OFF);
+    }
+
+
+    // OTHER HARDWARE SETTINGS -------------------------------------------------
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Adjust the display contrast (brightness).
+        @param  level
+                Contrast level from 0x00 to 0xFF. [reset] = 0x80
+        @return this
+        @note   This has an immediate effect on the display, no need to call the
+                display() function -- buffer contents are not changed.  While
+                dimmed, the new level is remembered and applied by dim(false).
+                While grayscale is running, the new level is applied with the
+                next bit-plane.
+    */
+    /**************************************************************************/
+    setContrast(level) {
+        const self = this;
+        self._contrast = _validateRange("contrast", level, 0x00, 0xFF);
+        if (!self._dimmed && !self._grayTimer) {
+            self.oled_commandList([SH1106_SET_CONTRAST, level]);
+        }
+        return self;
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Get the contrast level last set with setContrast() or fadeTo().
+        @return Contrast level from 0x00 to 0xFF.
+    */
+    /**************************************************************************/
+    getContrast() {
+        return this._contrast;
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Set the charge pump output voltage.
+        @param  volts
+                One of 6.4, 7.4, 8.0 [reset] or 9.0
+        @return this
+        @note   The datasheet requires the panel to be off while this is
+                changed so a panel that is on is briefly turned off.
+    */
+    /**************************************************************************/
+    setPumpVoltage(volts) {
+        const self = this;
+        self._pumpVoltage = _validatePumpVoltage(volts);
+        return self._commandListPanelOff([SH1106_PUMP_VOLTAGES[self._pumpVoltage]], false);
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Get the charge pump output voltage.
+        @return 6.4, 7.4, 8.0 or 9.0
+    */
+    /**************************************************************************/
+    getPumpVoltage() {
+        return this._pumpVoltage;
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Turn the DC-DC converter on or off.
+        @param  enable
+                true to turn the converter on [reset], false for off.
+        @return this
+        @note   The datasheet requires the panel to be off while this is
+                changed so a panel that is on is briefly turned off.
+    */
+    /**************************************************************************/
+    enableDCDC(enable) {
+        const self = this;
+        self._dcdcEnabled = !!enable;
+        return self._commandListPanelOff([SH1106_DC_DC_CONTROL_MODE_SET,
+                                          self._dcdcEnabled ? SH1106_DC_DC_ON : SH1106_DC_DC_OFF], self._dcdcEnabled);
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Get whether the DC-DC converter is on.
+        @return true if on.
+    */
+    /**************************************************************************/
+    isDCDCEnabled() {
+        return this._dcdcEnabled;
+    }
+
+
+    /**************************************************************************/
+    // Protected method to issue commands that require the panel to be off.
+    // If the panel is on, it is turned off first and back on afterwards,
+    // optionally waiting for the DC-DC converter to settle.
+    /**************************************************************************/
+    _commandListPanelOff(cmdArray, settle) {
+        const self = this, displayOn = self._displayOn;
+        if (displayOn) {
+            self.oled_command(SH1106_DISPLAY_OFF);
+        }
+        self.oled_commandList(cmdArray);
+        if (displayOn) {
+            if (settle) {
+                self._chain(_ => delay(SH1106_DC_DC_SETTLE_MS));
+            }
+            self.oled_command(SH1106_DISPLAY_ON);
+        }
+        return self;
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Dim the display.
+        @param  dim
+                true to enable lower brightness mode, false for full brightness.
+        @return this
+        @note   This has an immediate effect on the display, no need to call the
+                display() function -- buffer contents are not changed.
+    */
+    /**************************************************************************/
+    dim(dim) {
+        const self = this;
+        self._dimmed = !!dim;
+        // Grayscale pauses while dimmed and sends its own contrast when it resumes.
+        if (self._dimmed || !self._grayTimer) {
+            self.oled_commandList([SH1106_SET_CONTRAST, self._dimmed ? 0 : self._contrast]);
+        }
+        return self;
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Gradually change the contrast from its current level.
+        @param  level
+                Target contrast level from 0x00 to 0xFF.
+        @param  durationMs
+                Length of the fade in whole milliseconds (default 0).
+        @return this - await it to wait for the fade to complete.
+        @note   A fade starting while dimmed starts from 0 and leaves dim mode.
+                Not available while grayscale is running.
+    */
+    /**************************************************************************/
+    fadeTo(level, durationMs = 0) {
+        if (this._grayTimer) {
+            throw new Error("fadeTo() is not available while grayscale is running.");
+        }
+        const self = this,
+              from = self._dimmed ? 0 : self._contrast,
+              to = _validateRange("contrast", level, 0x00, 0xFF),
+              duration = _validateRange("durationMs", durationMs, 0, 0x7FFFFFFF),
+              steps = fMax(1, fMin(fAbs(to - from), fRound(duration / SH1106_FADE_STEP_MS))),
+              stepMs = duration / steps;
+
+        self._dimmed = false;
+        self._contrast = to;
+        // Queue every step now so that the fade stays in order with other chained work.
+        for (let step = 1; step <= steps; step++) {
+            if (stepMs > 0) {
+                self._chain(_ => delay(stepMs));
+            }
+            self.oled_commandList([SH1106_SET_CONTRAST, fRound(from + (to - from) * step / steps)]);
+        }
+        return self;
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Mirror the display in hardware using segment remap and COM scan
+                direction.  Use both for a module mounted upside down.
+        @param  mirror
+                horizontal - true to mirror left to right.
+                vertical - true to mirror top to bottom.
+                Axes that are not specified are left unchanged.
+        @return this
+        @note   Mirroring horizontally on a panel that does not sit in the middle
+                of display RAM moves the RAM columns used so the whole buffer is
+                marked dirty - follow up with a call to display().
+    */
+    /**************************************************************************/
+    setMirror(mirror) {
+        const self = this,
+              options = Object.assign({}, mirror),
+              oldColOffset = self._ramColumnOffset();
+        self._mirrorHorizontal = !!extractOption(options, "horizontal", self._mirrorHorizontal);
+        self._mirrorVertical = !!extractOption(options, "vertical", self._mirrorVertical);
+        if (oldColOffset !== self._ramColumnOffset()) {
+            self._setMaxDirtyWindow();
+            self.invalidateShadowRam();
+        }
+        return self.oled_commandList(self._mirrorCommands());
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Get the hardware mirror settings.
+        @return Object with horizontal and vertical booleans.
+    */
+    /**************************************************************************/
+    getMirror() {
+        const self = this;
+        return {horizontal:self._mirrorHorizontal, vertical:self._mirrorVertical};
+    }
+
+
+    // VIRTUAL CANVAS FUNCTIONS ------------------------------------------------
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Get the off-screen canvas created with the virtualWidth and
+                virtualHeight options.
+        @return GFXcanvas1_PackedColumn, or null if there is none.
+        @note   Draw into the canvas with the usual GFX functions, then call
+                setViewport() to copy the visible part into the buffer.
+    */
+    /**************************************************************************/
+    getVirtualCanvas() {
+        return this._virtualCanvas;
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Copy the part of the virtual canvas with its top left corner at
+                (x, y) into the buffer and mark it dirty.
+        @param  x  Canvas column shown at the left of the screen.
+        @param  y  Canvas row shown at the top of the screen.
+        @return this
+        @note   The position is limited so the viewport stays on the canvas.
+                Call again with the same position after drawing into the
+                canvas.  Follow up with a call to display().  Combine with the
+                shadowRam option to send only what changed.
+    */
+    /**************************************************************************/
+    setViewport(x, y) {
+        const self = this,
+              canvas = self._virtualCanvas,
+              w = self.width(),
+              h = self.height();
+        if (!canvas) {
+            throw new Error("No virtual canvas: Set the virtualWidth or virtualHeight option.");
+        }
+        x = fMax(0, fMin(_validateRange("x", x, -0x7FFF, 0x7FFF), canvas.width() - w));
+        y = fMax(0, fMin(_validateRange("y", y, -0x7FFF, 0x7FFF), canvas.height() - h));
+        self._viewportX = x;
+        self._viewportY = y;
+        // Copy row by row as runs of lit and unlit pixels, so the display rotation is applied.
+        for (let row = 0; row < h; row++) {
+            let runStart = 0, runColor = canvas.getPixel(x, y + row);
+            for (let col = 1; col <= w; col++) {
+                const color = (col < w) ? canvas.getPixel(x + col, y + row) : -1;
+                if (color !== runColor) {
+                    self.drawFastHLine(runStart, row, col - runStart, runColor ? SH1106_WHITE : SH1106_BLACK);
+                    runStart = col;
+                    runColor = color;
+                }
+            }
+        }
+        return self;
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Get the viewport position set with setViewport().
+        @return Object with x and y.
+    */
+    /**************************************************************************/
+    getViewport() {
+        const self = this;
+        return {x:self._viewportX, y:self._viewportY};
+    }
+
+
+    // CLIPPING FUNCTIONS ------------------------------------------------------
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Limit all drawing to a rectangle.
+        @param  x  Left column of the rectangle.
+        @param  y  Top row of the rectangle.
+        @param  w  Width of the rectangle in pixels.
+        @param  h  Height of the rectangle in pixels.
+        @return this
+        @note   Coordinates are logical (rotated) ones.  Call without arguments
+                to draw on the whole screen again.  Only the clipped area is
+                marked dirty.
+    */
+    /**************************************************************************/
+    setClipRect(x, y, w, h) {
+        const self = this;
+        if (undefined === x) {
+            self._clip = null;
+        } else {
+            [x, y, w, h].forEach((value, i) => _validateRange(["x", "y", "w", "h"][i], value, -0x7FFF, 0x7FFF));
+            self._clip = {x, y, w:fMax(w, 0), h:fMax(h, 0)};
+        }
+        self._clipRawRotation = -1;
+        return self;
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Get the current clip rectangle.
+        @return Object with x, y, w and h, or null when drawing is not clipped.
+    */
+    /**************************************************************************/
+    getClipRect() {
+        const clip = this._clip;
+        return clip && Object.assign({}, clip);
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Save the current clip rectangle and clip to its intersection
+                with a new one.  Use for nested drawing regions.
+        @param  x  Left column of the rectangle.
+        @param  y  Top row of the rectangle.
+        @param  w  Width of the rectangle in pixels.
+        @param  h  Height of the rectangle in pixels.
+        @return this
+        @note   Call without arguments to only save the current clip rectangle.
+    */
+    /**************************************************************************/
+    pushClip(x, y, w, h) {
+        const self = this, clip = self._clip;
+        if (undefined !== x) {
+            if (clip) {
+                [x, y, w, h].forEach((value, i) => _validateRange(["x", "y", "w", "h"][i], value, -0x7FFF, 0x7FFF));
+                const x1 = fMax(x, clip.x), y1 = fMax(y, clip.y);
+                self.setClipRect(x1, y1, fMin(x + w, clip.x + clip.w) - x1, fMin(y + h, clip.y + clip.h) - y1);
+            } else {
+                self.setClipRect(x, y, w, h);
+            }
+        }
+        // Saved only once the new rectangle is known to be valid.
+        self._clipStack.push(clip);
+        return self;
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Restore the clip rectangle saved by the matching pushClip().
+        @return this
+    */
+    /**************************************************************************/
+    popClip() {
+        const self = this;
+        if (!self._clipStack.length) {
+            throw new Error("popClip() without matching pushClip().");
+        }
+        const clip = self._clipStack.pop();
+        return clip ? self.setClipRect(clip.x, clip.y, clip.w, clip.h) : self.setClipRect();
+    }
+
+
+    /**************************************************************************/
+    // Protected method to get the clip rectangle in unrotated buffer
+    // coordinates as [x1, y1, x2, y2) limited to the buffer.
+    /**************************************************************************/
+    _rawClipRect() {
+        const self = this, WIDTH = self.WIDTH, HEIGHT = self.HEIGHT, clip = self._clip;
+        if (self._clipRawRotation !== self.rotation) {
+            let x = 0, y = 0, w = WIDTH, h = HEIGHT;
+            if (clip) {
+                switch (self.rotation) {
+                    case 1:
+                        (x = WIDTH - clip.y - clip.h, y = clip.x, w = clip.h, h = clip.w);
+                        break;
+                    case 2:
+                        (x = WIDTH - clip.x - clip.w, y = HEIGHT - clip.y - clip.h, w = clip.w, h = clip.h);
+                        break;
+                    case 3:
+                        (x = clip.y, y = HEIGHT - clip.x - clip.w, w = clip.h, h = clip.w);
+                        break;
+                    default:
+                        (x = clip.x, y = clip.y, w = clip.w, h = clip.h);
+                        break;
+                }
+            }
+            self._clipRaw = [fMax(x, 0), fMax(y, 0), fMin(x + w, WIDTH), fMin(y + h, HEIGHT)];
+            self._clipRawRotation = self.rotation;
+        }
+        return self._clipRaw;
+    }
+
+
+    // LAYER FUNCTIONS ---------------------------------------------------------
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Create an off-screen 1-bit layer with the same page layout and
+                rotation as the buffer.  Draw into it with the GFX functions,
+                then combine it with the buffer using compositeLayer().
+        @param  options
+                width, height - logical layer size, defaults to the screen size
+        @return GFXcanvas1_PackedColumn
+        @note   Layer colors are on/off - SH1106_INVERSE draws as lit.
+    */
+    /**************************************************************************/
+    createLayer(options) {
+        const self = this,
+              w = _validateRange("width", extractOption(Object.assign({}, options), "width", self.width()), 1, 0x7FFF),
+              h = _validateRange("height", extractOption(Object.assign({}, options), "height", self.height()), 1, 0x7FFF),
+              swap = (self.rotation & 1),
+              layer = new GFXcanvas1_PackedColumn({width:swap ? h : w, height:swap ? w : h});
+        layer.setRotation(self.rotation);
+        return layer;
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Combine a layer with the buffer a byte at a time.
+        @param  layer
+                Layer created by createLayer() with the current rotation.
+        @param  options
+                x, y - logical position of the layer's top left corner
+                mode - "or" (default), "and", "xor", "replace" or "mask" (clear
+                the pixels lit in the layer)
+                mask - optional layer of the same size, only pixels lit in the
+                mask are changed
+        @return this
+        @note   The clip rectangle is honored.  Changes buffer contents only,
+                follow up with a call to display().
+    */
+    /**************************************************************************/
+    compositeLayer(layer, options) {
+        const self = this,
+              x = _validateRange("x", extractOption(Object.assign({}, options), "x", 0), -0x7FFF, 0x7FFF),
+              y = _validateRange("y", extractOption(Object.assign({}, options), "y", 0), -0x7FFF, 0x7FFF),
+              mode = extractOption(Object.assign({}, options), "mode", "or"),
+              mask = extractOption(Object.assign({}, options), "mask", null),
+              blend = _validateBlendMode(mode);
+        if (!(layer instanceof GFXcanvas1_PackedColumn) || (layer.rotation !== self.rotation)) {
+            throw new Error("Invalid layer: Expected a layer from createLayer() with the current rotation.");
+        }
+        if ((null !== mask) && (!(mask instanceof GFXcanvas1_PackedColumn) || (mask.WIDTH !== layer.WIDTH) || (mask.HEIGHT !== layer.HEIGHT))) {
+            throw new Error("Invalid mask: Expected a layer of the same size.");
+        }
+        return self._blitPages(layer.getBuffer(), mask && mask.getBuffer(), layer.WIDTH, layer.HEIGHT, x, y, blend);
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Draw a bitmap that is already in the SH1106 page layout.  Much
+                faster than draw1BitBitmap() as whole bytes are combined with
+                the buffer.
+        @param  x     Left column of the bitmap.
+        @param  y     Top row of the bitmap.
+        @param  data  Byte x + page * w holds rows page * 8 to page * 8 + 7
+                      of column x, LSB at the top.  See rowMajorToPageMajor().
+        @param  w     Width of bitmap in pixels.
+        @param  h     Height of bitmap in pixels.
+        @param  mode  Blend mode as for compositeLayer(), default "or" which
+                      draws lit pixels only.
+        @return this
+        @note   With rotation 0 the bitmap bytes are used directly, otherwise
+                the bitmap is rotated to the buffer layout first.
+    */
+    /**************************************************************************/
+    drawPageBitmap(x, y, data, w, h, mode = "or") {
+        const self = this, blend = _validateBlendMode(mode);
+        x = _validateRange("x", x, -0x7FFF, 0x7FFF);
+        y = _validateRange("y", y, -0x7FFF, 0x7FFF);
+        w = _validateRange("w", w, 1, 0x7FFF);
+        h = _validateRange("h", h, 1, 0x7FFF);
+        if (!data || (data.length < w * toInt((h + 7) / 8))) {
+            throw new Error(Util.format("Invalid data: Expected %d bytes for a %dx%d bitmap.", w * toInt((h + 7) / 8), w, h));
+        }
+        if (!self.rotation) {
+            return self._blitPages(data, null, w, h, x, y, blend);
+        }
+        const swap = (self.rotation & 1),
+              rw = swap ? h : w,
+              rh = swap ? w : h,
+              raw = new Uint8Array(rw * toInt((rh + 7) / 8));
+        for (let ly = 0; ly < h; ly++) {
+            for (let lx = 0; lx < w; lx++) {
+                if (data[lx + (ly >> 3) * w] & (1 << (ly & 7))) {
+                    let bx, by;
+                    switch (self.rotation) {
+                        case 1:
+                            (bx = h - ly - 1, by = lx);
+                            break;
+                        case 2:
+                            (bx = w - lx - 1, by = h - ly - 1);
+                            break;
+                        default:
+                            (bx = ly, by = w - lx - 1);
+                            break;
+                    }
+                    raw[bx + (by >> 3) * rw] |= (1 << (by & 7));
+                }
+            }
+        }
+        return self._blitPages(raw, null, rw, rh, x, y, blend);
+    }
+
+
+    /**************************************************************************/
+    // Protected method to combine page layout source bytes of unrotated size
+    // lw x lh with the buffer.  (x, y) is the logical position of the
+    // source's top left corner.  Honors the clip rectangle.
+    /**************************************************************************/
+    _blitPages(src, maskBuffer, lw, lh, x, y, blend) {
+        if (this._grayPlanes && !this._grayDrawing) {
+            // The source is drawn at full level.
+            return this._forEachGrayPlane(_ => this._blitPages(src, maskBuffer, lw, lh, x, y, blend));
+        }
+        const self = this,
+              WIDTH = self.WIDTH,
+              buffer = self._buffer,
+              lPages = toInt((lh + 7) / 8);
+        // Unrotated position of the source, as for the clip rectangle.
+        let rx, ry;
+        switch (self.rotation) {
+            case 1:
+                (rx = WIDTH - y - lw, ry = x);
+                break;
+            case 2:
+                (rx = WIDTH - x - lw, ry = self.HEIGHT - y - lh);
+                break;
+            case 3:
+                (rx = y, ry = self.HEIGHT - x - lh);
+                break;
+            default:
+                (rx = x, ry = y);
+                break;
+        }
+        const clip = self._rawClipRect(),
+              x1 = fMax(rx, clip[0]), x2 = fMin(rx + lw, clip[2]),
+              y1 = fMax(ry, clip[1]), y2 = fMin(ry + lh, clip[3]);
+        if ((x1 >= x2) || (y1 >= y2)) {
+            return self;
+        }
+        // Rows y1..y2 of a buffer page as a bit mask.
+        const rowMask = page => {
+            const top = fMax(y1 - page * 8, 0), bottom = fMin(y2 - page * 8, 8);
+            return (bottom > top) ? ((0xFF << top) & (0xFF >> (8 - bottom))) : 0;
+        };
+        const shift = ((ry % 8) + 8) % 8, pageBase = Math.floor(ry / 8);
+        for (let lp = 0; lp < lPages; lp++) {
+            const lastBits = ((lp + 1) * 8 > lh) ? (0xFF >> ((lp + 1) * 8 - lh)) : 0xFF,
+                  page = pageBase + lp,
+                  lowMask = rowMask(page), highMask = shift ? rowMask(page + 1) : 0;
+            for (let col = x1; col < x2; col++) {
+                const li = (col - rx) + lp * lw,
+                      s = src[li],
+                      m = (maskBuffer ? maskBuffer[li] : 0xFF) & lastBits;
+                if (lowMask) {
+                    const di = col + page * WIDTH;
+                    buffer[di] = blend(buffer[di], (s << shift) & 0xFF, (m << shift) & lowMask);
+                }
+                if (highMask) {
+                    const di = col + (page + 1) * WIDTH;
+                    buffer[di] = blend(buffer[di], s >> (8 - shift), (m >> (8 - shift)) & highMask);
+                }
+            }
+        }
+        return self._markDirty(x1, y1, x2 - 1, y2 - 1);
+    }
+
+
+    // BUFFER OPERATIONS -------------------------------------------------------
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Copy a rectangle of the buffer to another position.
+        @param  sx  Left column of the source.
+        @param  sy  Top row of the source.
+        @param  w   Width of the rectangle in pixels.
+        @param  h   Height of the rectangle in pixels.
+        @param  dx  Left column of the destination.
+        @param  dy  Top row of the destination.
+        @return this
+        @note   Coordinates are logical (rotated) ones.  Source and destination
+                may overlap.  Source pixels outside the screen copy as unlit.
+                The clip rectangle limits the destination.
+    */
+    /**************************************************************************/
+    copyRect(sx, sy, w, h, dx, dy) {
+        if (this._grayPlanes && !this._grayDrawing) {
+            return this._forEachGrayPlane(_ => this.copyRect(sx, sy, w, h, dx, dy));
+        }
+        const self = this, WIDTH = self.WIDTH, HEIGHT = self.HEIGHT;
+        [sx, sy, dx, dy].forEach((value, i) => _validateRange(["sx", "sy", "dx", "dy"][i], value, -0x7FFF, 0x7FFF));
+        w = _validateRange("w", w, 0, 0x7FFF);
+        h = _validateRange("h", h, 0, 0x7FFF);
+        if (!w || !h) {
+            return self;
+        }
+        // Unrotated source rectangle.
+        let rx, ry, rw = w, rh = h;
+        switch (self.rotation) {
+            case 1:
+                (rx = WIDTH - sy - h, ry = sx, rw = h, rh = w);
+                break;
+            case 2:
+                (rx = WIDTH - sx - w, ry = HEIGHT - sy - h);
+                break;
+            case 3:
+                (rx = sy, ry = HEIGHT - sx - w, rw = h, rh = w);
+                break;
+            default:
+                (rx = sx, ry = sy);
+                break;
+        }
+        return self._blitPages(self._extractPages(rx, ry, rw, rh), null, rw, rh, dx, dy, SH1106_BLEND_MODES.replace);
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Move the whole buffer contents.
+        @param  dx    Pixels to move right, negative for left.
+        @param  dy    Pixels to move down, negative for up.
+        @param  fill  Color of the uncovered area, SH1106_BLACK (default) or
+                      SH1106_WHITE.
+        @return this
+        @note   Coordinates are logical (rotated) ones.  For a terminal, scroll
+                up by one text line with scrollBuffer(0, -8) and draw only the
+                new line.
+    */
+    /**************************************************************************/
+    scrollBuffer(dx, dy, fill = SH1106_BLACK) {
+        const self = this, w = self.width(), h = self.height();
+        self.copyRect(0, 0, w, h, dx, dy);
+        if (dx > 0) {
+            self.fillRect(0, 0, fMin(dx, w), h, fill);
+        } else if (dx < 0) {
+            self.fillRect(fMax(w + dx, 0), 0, fMin(-dx, w), h, fill);
+        }
+        if (dy > 0) {
+            self.fillRect(0, 0, w, fMin(dy, h), fill);
+        } else if (dy < 0) {
+            self.fillRect(0, fMax(h + dy, 0), w, fMin(-dy, h), fill);
+        }
+        return self;
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Invert the pixels of a rectangle, for example to highlight a
+                menu entry.
+        @param  x  Left column of the rectangle.
+        @param  y  Top row of the rectangle.
+        @param  w  Width of the rectangle in pixels.
+        @param  h  Height of the rectangle in pixels.
+        @return this
+    */
+    /**************************************************************************/
+    invertRect(x, y, w, h) {
+        return this.fillRect(x, y, w, h, SH1106_INVERSE);
+    }
+
+
+    // PIXEL READBACK FUNCTIONS ------------------------------------------------
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Read a pixel from the buffer.
+        @param  x  Column -- 0 at left to (screen width - 1) at right.
+        @param  y  Row -- 0 at top to (screen height - 1) at bottom.
+        @return 1 if the pixel is lit, 0 if not or if outside the screen.
+        @note   Overrides Adafruit_GrayOLED.  Coordinates are logical (rotated)
+                ones, mapped as for drawPixel().
+    */
+    /**************************************************************************/
+    getPixel(x, y) {
+        const self = this, WIDTH = self.WIDTH, HEIGHT = self.HEIGHT;
+        if ((x >= 0) && (x < self.width()) && (y >= 0) && (y < self.height())) {
+            let t;
+            switch (self.rotation) {
+                case 1:
+                    (t = x, x = WIDTH - y - 1, y = t);
+                    break;
+                case 2:
+                    x = WIDTH - x - 1;
+                    y = HEIGHT - y - 1;
+                    break;
+                case 3:
+                    (t = x, x = y, y = HEIGHT - t - 1);
+                    break;
+            }
+            x = toInt(x);
+            y = toInt(y);
+            return (self._buffer[x + (y >> 3) * WIDTH] >> (y & 7)) & 1;
+        }
+        return 0;
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Read a rectangle of the buffer as a bitmap.
+        @param  x  Left column of the rectangle.
+        @param  y  Top row of the rectangle.
+        @param  w  Width of the rectangle in pixels.
+        @param  h  Height of the rectangle in pixels.
+        @return Object {width, height, data} where data holds packed rows as
+                used by draw1BitBitmap().  Pixels outside the screen are 0.
+    */
+    /**************************************************************************/
+    getRegion(x, y, w, h) {
+        const self = this;
+        w = _validateRange("w", w, 0, 0x7FFF);
+        h = _validateRange("h", h, 0, 0x7FFF);
+        const byteWidth = (w + 7) >> 3, data = new Uint8Array(byteWidth * h);
+        for (let row = 0; row < h; row++) {
+            for (let col = 0; col < w; col++) {
+                if (self.getPixel(x + col, y + row)) {
+                    data[row * byteWidth + (col >> 3)] |= (0x80 >> (col & 7));
+                }
+            }
+        }
+        return {width:w, height:h, data};
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Count the lit pixels of the buffer or of a rectangle.
+        @param  x  Left column of the rectangle.
+        @param  y  Top row of the rectangle.
+        @param  w  Width of the rectangle in pixels.
+        @param  h  Height of the rectangle in pixels.
+        @return Number of lit pixels.
+        @note   Pass all four of x, y, w and h, or none to count the whole
+                buffer.
+    */
+    /**************************************************************************/
+    countPixels(x, y, w, h) {
+        const self = this;
+        let count = 0;
+        if (undefined === x) {
+            // Whole buffer - count the bits of every byte.
+            for (const byte of self._buffer) {
+                for (let v = byte; v; v &= v - 1) {
+                    count++;
+                }
+            }
+            return count;
+        }
+        [x, y, w, h].forEach((value, i) => _validateRange(["x", "y", "w", "h"][i], value, -0x7FFF, 0x7FFF));
+        for (let row = y; row < y + h; row++) {
+            for (let col = x; col < x + w; col++) {
+                count += self.getPixel(col, row);
+            }
+        }
+        return count;
+    }
+
+
+    /**************************************************************************/
+    // Protected method to get the unrotated buffer rectangle rx, ry, rw x rh
+    // in page layout.  Pixels outside the buffer are 0.
+    /**************************************************************************/
+    _extractPages(rx, ry, rw, rh) {
+        const self = this,
+              WIDTH = self.WIDTH,
+              pages = self._dirtyX1.length,
+              buffer = self._buffer,
+              out = new Uint8Array(rw * toInt((rh + 7) / 8)),
+              shift = ((ry % 8) + 8) % 8;
+        const byteAt = (page, col) => ((page >= 0) && (page < pages)) ? buffer[col + page * WIDTH] : 0;
+        for (let op = 0, page = Math.floor(ry / 8); op < toInt((rh + 7) / 8); op++, page++) {
+            for (let col = fMax(rx, 0); col < fMin(rx + rw, WIDTH); col++) {
+                out[(col - rx) + op * rw] = shift ? ((byteAt(page, col) >> shift) | (byteAt(page + 1, col) << (8 - shift))) & 0xFF
+                                                  : byteAt(page, col);
+            }
+        }
+        return out;
+    }
+
+
+    // IMAGE FUNCTIONS ---------------------------------------------------------
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Draw a PNG, PBM/PGM or raw gray/RGBA image, reducing it to 1 bit
+                per pixel with thresholding or dithering.
+        @param  x
+                Leftmost column -- 0 at left to (screen width - 1) at right.
+        @param  y
+                Topmost row -- 0 at top to (screen height - 1) at bottom.
+        @param  image
+                Buffer containing a PNG, PBM or PGM file, or an object
+                {width, height, data, channels} with raw pixels where channels
+                is 1 (gray), 2 (gray + alpha), 3 (RGB) or 4 (RGBA).
+        @param  options
+                width, height - size to scale to.  If only one is given, the
+                                other follows the aspect ratio.
+                fit - true to scale to fit inside width x height keeping the
+                      aspect ratio.
+                dither - "threshold" (default), "floyd-steinberg", "atkinson"
+                         or "bayer".
+                threshold - gray level 0-255 at which pixels are lit (128).
+                invert - true to light dark pixels instead.
+                color - color for lit pixels (default SH1106_WHITE).
+                background - color for unlit pixels.  Transparent if not set.
+        @return this
+        @note   Changes buffer contents only, no immediate effect on display.
+                Follow up with a call to display(), or with other graphics
+                commands as needed by one's own application.
+    */
+    /**************************************************************************/
+    drawImage(x, y, image, options) {
+        const self = this,
+              opts = Object.assign({}, options);
+        ["width", "height"].forEach(name => {
+            if (undefined !== opts[name]) {
+                _validateRange(name, opts[name], 1, 0x7FFF);
+            }
+        });
+        const bitmap = imageTo1Bit(image, opts),
+              color = extractOption(opts, "color", SH1106_WHITE),
+              background = extractOption(opts, "background", null);
+        if (null === background) {
+            return self.draw1BitBitmap(x, y, bitmap.data, bitmap.width, bitmap.height, color);
+        }
+        return self.draw1BitBitmapSetBackgroundColor(x, y, bitmap.data, bitmap.width, bitmap.height, color, background);
+    }
+
+
+    // EXPORT FUNCTIONS --------------------------------------------------------
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Get the buffer contents as raw pixels.
+        @param  options
+                rotated - true to export in the current rotation, false
+                          (default) for the unrotated panel orientation.
+                packed - true for 1 bit per pixel rows, MSB first and padded
+                         to a whole byte as used by draw1BitBitmap().  false
+                         (default) for 1 byte per pixel, 0x00 or 0xFF.
+        @return Buffer with pixels in row-major order.
+        @note   Reads from buffer contents; may not reflect current contents of
+                screen if display() has not been called.
+    */
+    /**************************************************************************/
+    toRaw(options) {
+        const self = this,
+              opts = Object.assign({}, options),
+              rotated = !!extractOption(opts, "rotated", false),
+              w = rotated ? self.width() : self.WIDTH,
+              h = rotated ? self.height() : self.HEIGHT,
+              rows = self._packRows(rotated);
+        if (extractOption(opts, "packed", false)) {
+            return rows;
+        }
+        const byteWidth = (w + 7) >> 3, ret = Buffer.alloc(w * h);
+        for (let y = 0; y < h; y++) {
+            for (let x = 0; x < w; x++) {
+                if (rows[y * byteWidth + (x >> 3)] & (0x80 >> (x & 7))) {
+                    ret[y * w + x] = 0xFF;
+                }
+            }
+        }
+        return ret;
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Get the buffer contents as a 1-bit grayscale PNG image.
+        @param  options
+                rotated - true to export in the current rotation, false
+                          (default) for the unrotated panel orientation.
+        @return Buffer containing the PNG file.  Lit pixels are white.
+    */
+    /**************************************************************************/
+    toPNG(options) {
+        const self = this, rotated = !!extractOption(Object.assign({}, options), "rotated", false);
+        return encodePNG(rotated ? self.width() : self.WIDTH, rotated ? self.height() : self.HEIGHT, self._packRows(rotated));
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Get the buffer contents as a binary (P4) PBM image.
+        @param  options
+                rotated - true to export in the current rotation, false
+                          (default) for the unrotated panel orientation.
+        @return Buffer containing the PBM file.  Lit pixels are white.
+    */
+    /**************************************************************************/
+    toPBM(options) {
+        const self = this, rotated = !!extractOption(Object.assign({}, options), "rotated", false);
+        return encodePBM(rotated ? self.width() : self.WIDTH, rotated ? self.height() : self.HEIGHT, self._packRows(rotated));
+    }
+
+
+    /**************************************************************************/
+    // Protected method to convert the page organized buffer (8 vertical pixels
+    // per byte) to packed rows (8 horizontal pixels per byte, MSB first).
+    /**************************************************************************/
+    _packRows(rotated) {
+        const self = this,
+              WIDTH = self.WIDTH,
+              HEIGHT = self.HEIGHT,
+              buffer = self._buffer,
+              rotation = rotated ? self.rotation : 0,
+              w = (rotation & 1) ? HEIGHT : WIDTH,
+              h = (rotation & 1) ? WIDTH : HEIGHT,
+              byteWidth = (w + 7) >> 3,
+              rows = Buffer.alloc(byteWidth * h);
+        let rx, ry;
+        for (let y = 0; y < h; y++) {
+            for (let x = 0; x < w; x++) {
+                // Same mapping as drawPixel().
+                switch (rotation) {
+                    case 1:
+                        rx = WIDTH - y - 1;
+                        ry = x;
+                        break;
+                    case 2:
+                        rx = WIDTH - x - 1;
+                        ry = HEIGHT - y - 1;
+                        break;
+                    case 3:
+                        rx = y;
+                        ry = HEIGHT - x - 1;
+                        break;
+                    default:
+                        rx = x;
+                        ry = y;
+                        break;
+                }
+                if (buffer[rx + (ry >> 3) * WIDTH] & (1 << (ry & 7))) {
+                    rows[y * byteWidth + (x >> 3)] |= (0x80 >> (x & 7));
+                }
+            }
+        }
+        return rows;
+    }
+
+
+    // SCROLLING FUNCTIONS -----------------------------------------------------
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Scroll the whole display RAM vertically by changing the display
+                start line.  The buffer is not re-sent.
+        @param  lines
+                Number of lines content is moved up, relative to the startLine
+                option.  Wraps at 64 lines.  0 restores the original position.
+        @return this
+        @note   Drawing coordinates are not affected - they always address
+                display RAM.  On panels shorter than 64 lines, RAM lines that are
+                not part of the buffer scroll into view.
+    */
+    /**************************************************************************/
+    scrollVertical(lines) {
+        const self = this;
+        self._scrollOffset = _validateRange("lines", lines, -0x7FFFFFFF, 0x7FFFFFFF) & 0x3F;
+        return self.oled_command(SH1106_SET_START_LINE | ((self._startLine + self._scrollOffset) & 0x3F));
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Get the current vertical scroll position.
+        @return Lines 0-63 content is moved up.
+    */
+    /**************************************************************************/
+    getScrollOffset() {
+        return this._scrollOffset;
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Start continuous vertical scrolling driven by a timer.
+        @param  options
+                speed - lines per second (default 10)
+                direction - "up" (default) or "down"
+        @return this
+    */
+    /**************************************************************************/
+    startScroll(options) {
+        const self = this,
+              speed = extractOption(Object.assign({}, options), "speed", SH1106_DEFAULT_SCROLL_SPEED),
+              direction = extractOption(Object.assign({}, options), "direction", "up");
+        if (!(speed > 0) || !Number.isFinite(speed)) {
+            throw new Error(Util.format("Invalid speed: %o. Expected a positive number of lines per second.", speed));
+        }
+        if ((direction !== "up") && (direction !== "down")) {
+            throw new Error(Util.format("Invalid direction: %o. Expected 'up' or 'down'.", direction));
+        }
+        const step = (direction === "up") ? 1 : -1;
+        self.stopScroll();
+        self._scrollTimer = setInterval(_ => self.scrollVertical(self._scrollOffset + step), 1000 / speed);
+        return self;
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Stop scrolling started with startScroll().  The display stays at
+                the current scroll position.
+        @return this
+    */
+    /**************************************************************************/
+    stopScroll() {
+        const self = this;
+        if (self._scrollTimer) {
+            clearInterval(self._scrollTimer);
+            self._scrollTimer = null;
+        }
+        return self;
+    }
+
+
+    // FRAME SCHEDULING FUNCTIONS ----------------------------------------------
 
 
-class Adafruit_SH1106 extends Adafruit_GrayOLED {
     /**************************************************************************/
     /*!
-        @brief  Constructor for SH1106 OLED displays.
-                a series of LCD commands stored in PROGMEM byte array.
-        @param  options  Object specifying options to use for the display
-
+        @brief  Start a render loop that calls display() at most once per tick
+                while there is something to send.  Drawing marks the frame
+                dirty, so callers may simply stop calling display().
+        @param  options
+                fps - target frames per second (default 30)
+        @return this
+        @note   Ticks are skipped while the display is disabled with
+                enableDisplay(false).  A display put to sleep by a power
+                manager is woken by the next frame, like any display().  A tick
+                is counted as dropped when the previous frame is still being
+                sent.
     */
     /**************************************************************************/
-    constructor(options) {
-
-        const optionsShallow = Object.assign({}, options);
-        // set bpp prior to invoking super().
-        optionsShallow["bpp"] = 1;
-        super(optionsShallow);
-        const self = this;
-
-        // Extract option and ensure if not specified, we specify value false to force splash screen.
-        self._noSplash = !!extractOption(options, "noSplash", false);
+    startRenderLoop(options) {
+        const self = this,
+              fps = extractOption(Object.assign({}, options), "fps", SH1106_DEFAULT_FPS);
+        if (!(fps > 0) || !Number.isFinite(fps)) {
+            throw new Error(Util.format("Invalid fps: %o. Expected a positive number of frames per second.", fps));
+        }
+        self.stopRenderLoop();
+        self._renderTimer = setInterval(_ => self._renderTick(), 1000 / fps);
+        return self;
+    }
 
-        // Initialize with default value for the 128x32 display with 0x8F.
-        self._contrast = 0x8F;
-        
-        // Used for testing overrides if needed.
-        self._displayOffset = extractOption(options, "displayOffset", 0);
-        self._startLine = extractOption(options, "startLine", 0);
-        // SH1106 supports 132x64 but display only is 128x32/64 so must use a column offset of 2.
-        self.page_offset = extractOption(options, "pageOffset", 0);
-        self.column_offset = extractOption(options, "colOffset", 2);
 
-        self._buffer = new Uint8Array(self.WIDTH * toInt((self.HEIGHT + 7) / 8));
+    /**************************************************************************/
+    /*!
+        @brief  Stop the render loop started with startRenderLoop().  Pending
+                changes are not sent.
+        @return this
+    */
+    /**************************************************************************/
+    stopRenderLoop() {
+        const self = this;
+        if (self._renderTimer) {
+            clearInterval(self._renderTimer);
+            self._renderTimer = null;
+        }
+        return self;
     }
 
 
-    //===============================================================
-    // <BEGIN> NON - Adafruit implementations
-    //               Startup/Shutdown Invocation Order - See Display_Base class
-    //
-    //               _preStartup
-    //               begin()
-    //               _postStartup (turn off display or other things)
-    //
-    //               _preShutdown
-    //               // currently nothing defined for middle.
-    //               _postShutdown
-    //===============================================================
-    _preStartup() {
+    /**************************************************************************/
+    /*!
+        @brief  Ask the render loop to send the whole buffer on the next tick
+                even if nothing was drawn, for example after changing _buffer
+                directly.  With shadowRam only the changed bytes are sent.
+        @return this
+    */
+    /**************************************************************************/
+    requestFrame() {
         const self = this;
-        self._hardwareStartup();   // (setup SPI, I2C)
-        self._hardwareReset();     // (hardware reset for SPI)
+        self._framePending = true;
+        self._setMaxDirtyWindow();
         return self;
     }
 
 
-    _postStartup() {
-        return this;
+    /**************************************************************************/
+    /*!
+        @brief  Get the render loop counters.
+        @return Object with frames (frames sent), dropped (ticks skipped as the
+                previous frame was still being sent), errors (frames that
+                failed), lastError, lastFrameMs and averageFrameMs (time from
+                queueing a frame until it was sent).
+        @note   A failed frame does not stop the loop - the whole buffer is
+                sent again with the next frame.
+    */
+    /**************************************************************************/
+    getRenderStats() {
+        return Object.assign({}, this._renderStats);
     }
 
 
-    _preShutdown() {
-        const self = this;
-        self.enableDisplay(false);  // Turn off screen
+    /**************************************************************************/
+    // Protected method run by the render loop timer.
+    /**************************************************************************/
+    _renderTick() {
+        const self = this, stats = self._renderStats, powerManager = self._powerManager,
+              asleep = powerManager && (powerManager.getState() === SH1106_PowerStates.SH1106_POWER_SLEEPING);
+        if ((!self._displayOn && !asleep) || self._grayTimer || !(self._framePending || self.getDirtySpans().length)) {
+            return self;
+        }
+        if (self._frameInFlight) {
+            stats.dropped++;
+            return self;
+        }
+        const start = Date.now();
+        self._framePending = false;
+        self._frameInFlight = true;
+        self.display();
+        self._chain(async _ => {
+            stats.lastFrameMs = Date.now() - start;
+            stats.averageFrameMs = ((stats.averageFrameMs * stats.frames) + stats.lastFrameMs) / (stats.frames + 1);
+            stats.frames++;
+        });
+        self._recoverQueue(stats);
+        self._chain(async _ => {
+            self._frameInFlight = false;
+        });
         return self;
     }
 
 
-    _postShutdown() {
+    /**************************************************************************/
+    // Protected method to keep the queue usable after a failed transfer.  A
+    // rejected queue skips all later work, so the error is counted in stats
+    // and the whole buffer is sent again with the next display().
+    /**************************************************************************/
+    _recoverQueue(stats) {
         const self = this;
-        self._hardwareShutdown(); // (release SPI, I2C hardware)
+        self._queue = self._queue.catch(err => {
+            stats.errors++;
+            stats.lastError = err;
+            self._setMaxDirtyWindow();
+            self.invalidateShadowRam();
+        });
         return self;
     }
-    //===============================================================
-    // <END> NON - Adafruit implementations
-    //===============================================================
+
+
+    // BURN-IN PROTECTION FUNCTIONS --------------------------------------------
 
 
     /**************************************************************************/
     /*!
-        @brief  Modified Adafruit startup function - Options are passed in the
-                constructor.
-        @return  this
+        @brief  Start shifting the whole image by a few pixels on a timer to
+                reduce OLED burn-in.  Logical drawing coordinates do not change.
+        @param  options
+                interval - milliseconds between shifts (default 60000)
+                amplitude - maximum shift in pixels, 1-8 (default 1)
+                pattern - "box" (default), "horizontal", "vertical", "random"
+                or a list of [x, y] shifts
+        @return this
+        @note   Vertical shifts use the display offset register and wrap RAM
+                lines around.  Horizontal shifts move the buffer within the 132
+                RAM columns and re-send it, they are limited to the spare RAM
+                columns of the panel - none for 132 column panels.
     */
     /**************************************************************************/
-    begin() {
-        const self = this, w = self.WIDTH, h = self.HEIGHT, rotation = self.rotation;
+    startBurnInGuard(options) {
+        const self = this,
+              interval = extractOption(Object.assign({}, options), "interval", SH1106_DEFAULT_BURN_IN_INTERVAL_MS),
+              amplitude = _validateRange("amplitude", extractOption(Object.assign({}, options), "amplitude", SH1106_DEFAULT_BURN_IN_AMPLITUDE), 1, 8),
+              shifts = _burnInShifts(extractOption(Object.assign({}, options), "pattern", "box"), amplitude);
+        if (!(interval > 0) || !Number.isFinite(interval)) {
+            throw new Error(Util.format("Invalid interval: %o. Expected a positive number of milliseconds.", interval));
+        }
+        let step = 0;
+        const next = shifts ? (_ => shifts[step++ % shifts.length])
+                            : (_ => [Math.floor(Math.random() * (2 * amplitude + 1)) - amplitude,
+                                     Math.floor(Math.random() * (2 * amplitude + 1)) - amplitude]);
+        self.stopBurnInGuard(false);
+        self._burnInTimer = setInterval(_ => self.setBurnInShift.apply(self, next()), interval);
+        return self;
+    }
 
-        self.oled_commandList(SH1106_INIT_SEQ_1);
-
-        // Multiplex is based on screen height
-        self.oled_commandList([SH1106_SET_MULTIPLEX, (h - 1) & 0xFF,
-                               SH1106_DC_DC_CONTROL_MODE_SET, SH1106_DC_DC_ON]);
-
-        self.oled_commandList(SH1106_INIT_SEQ_2);
-
-        // ComPins and Precharge settings vary based on display
-        let contrast = self._contrast,
-            pageOffset = self.page_offset,
-            colOffset = self.column_offset,
-            displayOffset = self._displayOffset,
-            startLine = self._startLine,
-            comPins = 0x02;
-
-        if ((self.WIDTH == 128) && (self.HEIGHT == 32)) {
-            comPins = 0x02;
-            contrast = 0x8F;
-        } else if ((self.WIDTH == 128) && (self.HEIGHT == 64)) {
-            comPins = 0x12;
-            // 0x8F - [reset] = 0x80
-            contrast = 0x8F;
-        } else {
-            // TBD.
-            comPins = 0x02;
-            // 0x8F - [reset] = 0x80
-            contrast = 0x8F;
-        }
-
-        // Update values for use by other functions.
-        self._contrast = contrast;
-        self.page_offset = pageOffset;
-        self.column_offset = colOffset;
-        self._displayOffset = displayOffset;
-        self._startLine = startLine;
-        
-        self.oled_commandList([SH1106_SET_DISPLAY_OFFSET, displayOffset & 0xFF,
-                               SH1106_SET_START_LINE, startLine & 0xFF,
-                               SH1106_SET_COM_PINS, comPins & 0xFF,
-                               SH1106_SET_CONTRAST, contrast & 0xFF,
-                               SH1106_SET_PRECHARGE, 0xF1]);
-
-        self.oled_commandList(SH1106_INIT_SEQ_3);
-        self.setRotation(rotation);
-        self._setMaxDirtyWindow();
 
-        if (self._noSplash) {
-            self.clearDisplay();
-        } else {
-            const splash = (h > 32) ? splash1 : splash2;
-            if (splash.data && splash.width && splash.height) {
-                self.draw1BitBitmap(toInt((w  - splash.width ) / 2),
-                                    toInt((h  - splash.height) / 2),
-                                    splash.data, 
-                                    splash.width, 
-                                    splash.height, SH1106_WHITE);
-            }
+    /**************************************************************************/
+    /*!
+        @brief  Stop the burn-in guard started with startBurnInGuard().
+        @param  restore
+                Return the image to its unshifted position (default true).
+        @return this
+    */
+    /**************************************************************************/
+    stopBurnInGuard(restore = true) {
+        const self = this;
+        if (self._burnInTimer) {
+            clearInterval(self._burnInTimer);
+            self._burnInTimer = null;
         }
-        self.display();
+        return restore ? self.setBurnInShift(0, 0) : self;
+    }
 
 
-        self.enableDisplay(true);
+    /**************************************************************************/
+    /*!
+        @brief  Shift the whole image on the panel.  Used by the burn-in guard.
+        @param  x  Pixels to the right, negative for left.
+        @param  y  Pixels down, negative for up.
+        @return this
+        @note   x is limited to the spare RAM columns on either side of the
+                panel, see getBurnInShift() for the shift applied.  A horizontal
+                change re-sends the whole buffer, including any drawing not yet
+                sent with display().
+    */
+    /**************************************************************************/
+    setBurnInShift(x, y) {
+        const self = this,
+              colOffset = self.column_offset;
+        x = _validateRange("x", x, -SH1106_RAM_COLUMNS, SH1106_RAM_COLUMNS);
+        y = _validateRange("y", y, -63, 63);
+        // The same range applies when mirrored, the spare columns swap sides along with the shift.
+        x = fMin(fMax(x, fMin(0, -colOffset)), fMax(0, SH1106_RAM_COLUMNS - self.WIDTH - colOffset)) || 0;
+        if (y !== self._burnInShiftY) {
+            self._burnInShiftY = y;
+            self.oled_commandList([SH1106_SET_DISPLAY_OFFSET, self._hardwareDisplayOffset()]);
+        }
+        if (x !== self._burnInShiftX) {
+            const oldColOffset = self._ramColumnOffset();
+            self._burnInShiftX = x;
+            if (oldColOffset !== self._ramColumnOffset()) {
+                self._displayFullRam();
+            }
+        }
         return self;
     }
 
 
-    // REFRESH DISPLAY ---------------------------------------------------------
-
     /**************************************************************************/
     /*!
-        @brief  Push data currently in RAM to SH1106 display.
-        @return this
-        @note   Drawing operations are not visible until this function is
-                called. Call after each graphics command, or after a whole set
-                of graphics commands, as best needed by one's own application.
+        @brief  Get the current burn-in guard shift.
+        @return Object with x and y in pixels.
     */
     /**************************************************************************/
-    display() {
-        const self = this, 
+    getBurnInShift() {
+        const self = this;
+        return {x:self._burnInShiftX, y:self._burnInShiftY};
+    }
+
+
+    /**************************************************************************/
+    // Protected method to send every page of the buffer over all 132 RAM
+    // columns, so the columns the image moved away from are cleared.
+    /**************************************************************************/
+    _displayFullRam() {
+        const self = this,
               w = self.WIDTH,
-              h = self.HEIGHT,
               buffer = self._buffer,
-              colOffset = self.column_offset, 
-              pageOffset = self.page_offset,
-              colStart = self.window_x1,
-              to_write = (self.window_x2 - self.window_x1) + 1,
-              pageStart = toInt(self.window_y1 / 8),
-              pageEnd = toInt(self.window_y2 / 8) + 1;
+              colOffset = self._ramColumnOffset(),
+              pages = self._dirtyX1.length;
+        for (let page = 0; page < pages; page++) {
+            const row = new Uint8Array(SH1106_RAM_COLUMNS);
+            row.set(buffer.subarray(page * w, (page + 1) * w), colOffset);
+            self.oled_commandList([SH1106_PAGE_ADDR | (page + self.page_offset) & 0x0F,
+                                   SH1106_LOWER_COLUMN_ADDR,
+                                   SH1106_HIGHER_COLUMN_ADDR]);
+            self.oled_data(row);
+        }
+        if (self._shadow) {
+            self._shadow.set(buffer);
+            self._shadowValid = true;
+        }
+        return self._resetDirtyWindow();
+    }
+
+
+    // GRAYSCALE FUNCTIONS -----------------------------------------------------
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Get the number of gray levels set with the grayscaleBits option.
+        @return 2 (monochrome), 4 or 16.
+    */
+    /**************************************************************************/
+    getGrayLevels() {
+        const planes = this._grayPlanes;
+        return planes ? (1 << planes.length) : 2;
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Get the drawing color for a gray level.
+        @param  level
+                Gray level from 0 (off) to getGrayLevels() - 1 (full
+                brightness).
+        @return Color usable with every drawing function.  Level 0 is
+                SH1106_BLACK and the highest level is SH1106_WHITE.
+        @note   SH1106_BLACK, SH1106_WHITE and SH1106_INVERSE keep their
+                meaning in grayscale mode, INVERSE inverts the gray level.
+                Page bitmaps and layers draw lit pixels at full brightness,
+                buffer operations move every plane.  Pixel readback and export
+                see the most significant plane only.
+    */
+    /**************************************************************************/
+    grayColor(level) {
+        const max = this.getGrayLevels() - 1;
+        level = _validateRange("level", level, 0, max);
+        return (0 === level) ? SH1106_BLACK : (max === level) ? SH1106_WHITE : (SH1106_GRAY_LEVEL | level);
+    }
 
-        let page, index = colStart + (pageStart * w);
-        if (to_write > 0) {
-            for (page = (pageStart + pageOffset); page < (pageEnd + pageOffset); page++, index += w) {
-                self.oled_commandList([SH1106_PAGE_ADDR | page & 0x0F,
-                                       SH1106_LOWER_COLUMN_ADDR | (colStart + colOffset) & 0x0F,
-                                       SH1106_HIGHER_COLUMN_ADDR | (((colStart + colOffset) >>> 4) & 0x0F)]);
-                // write buffer data one page at a time as the page address does not automatically increment.
-                self.oled_data(buffer.subarray(index, index + to_write));
+
+    /**************************************************************************/
+    /*!
+        @brief  Start showing the gray levels by sending the bit-planes in turn,
+                each with a contrast weighted by its significance.
+        @param  options
+                fps - gray frames (all planes) per second wanted (default 30)
+                minFps - lowest acceptable rate (default 15)
+        @return this - await it to wait for the measurement.
+        @note   The first plane sent is timed on the active transport.  When
+                the bus cannot reach minFps, the display falls back to the
+                most significant plane only - see getGrayscaleStats().  Requires
+                the grayscaleBits option.  While running, display() sends
+                nothing as drawing shows up with the next gray frame, and the
+                cycle pauses while the display is dimmed, off or put to sleep
+                by a power manager.
+    */
+    /**************************************************************************/
+    startGrayscale(options) {
+        const self = this,
+              planes = self._grayPlanes,
+              fps = extractOption(Object.assign({}, options), "fps", SH1106_DEFAULT_GRAY_FPS),
+              minFps = extractOption(Object.assign({}, options), "minFps", SH1106_DEFAULT_GRAY_MIN_FPS);
+        if (!planes) {
+            throw new Error("Grayscale not enabled: Set the grayscaleBits option to 2 or 4.");
+        }
+        [["fps", fps], ["minFps", minFps]].forEach(([name, value]) => {
+            if (!(value > 0) || !Number.isFinite(value)) {
+                throw new Error(Util.format("Invalid %s: %o. Expected a positive number of frames per second.", name, value));
+            }
+        });
+        self.stopGrayscale(false);
+        const stats = self._grayStats, errors = stats.errors;
+        let start = 0;
+        // Time the plane alone, not the work queued before it.
+        self._chain(async _ => {
+            start = Date.now();
+        });
+        self._sendGrayPlane(planes.length - 1);
+        self._recoverQueue(stats);
+        self._chain(async _ => {
+            // One plane took this long, a gray frame needs all of them.  Fall back if it failed.
+            stats.measuredFps = 1000 / (fMax(Date.now() - start, 1) * planes.length);
+            stats.fallback = (stats.errors > errors) || (stats.measuredFps < minFps);
+            stats.fps = stats.fallback ? 0 : fMin(fps, stats.measuredFps);
+            if (stats.fallback) {
+                self._restoreMonochrome();
+            } else {
+                // Carry on with the least significant plane.
+                self._grayPlane = planes.length - 1;
+                self._grayTimer = setInterval(_ => self._grayTick(), 1000 / (stats.fps * planes.length));
             }
+        });
+        return self;
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Stop the grayscale cycle started with startGrayscale().
+        @param  restore
+                Show the most significant plane at the normal contrast
+                (default true).
+        @return this
+    */
+    /**************************************************************************/
+    stopGrayscale(restore = true) {
+        const self = this;
+        if (self._grayTimer) {
+            clearInterval(self._grayTimer);
+            self._grayTimer = null;
+            restore && self._restoreMonochrome();
         }
-        self._resetDirtyWindow();
         return self;
     }
 
 
     /**************************************************************************/
     /*!
-        @brief  Change whether display is on or off
-        @param   enable True if you want the display ON, false OFF
-        @return  this
+        @brief  Get the grayscale measurements.
+        @return Object with measuredFps (gray frames per second the transport
+                can carry), fps (rate in use, 0 when stopped or fallen back),
+                fallback (true if the bus was too slow or failed), subframes
+                (planes sent), errors (planes that failed) and lastError.
+        @note   A failed plane does not stop the cycle.
     */
     /**************************************************************************/
-    enableDisplay(aValue) {
-        return this.oled_command(!!aValue ? SH1106_DISPLAY_ON : SH1106_DISPLAY_OFF);
+    getGrayscaleStats() {
+        return Object.assign({}, this._grayStats);
     }
 
 
-    // OTHER HARDWARE SETTINGS -------------------------------------------------
+    /**************************************************************************/
+    // Protected method to draw a line into every bit-plane.  Gray levels from
+    // grayColor() draw the bit belonging to the plane, other colors (and
+    // patterns) are drawn the same on every plane.
+    /**************************************************************************/
+    _drawGrayPlanes(fn, a, b, c, color) {
+        const self = this,
+              gray = (typeof color === "number") && (color & SH1106_GRAY_LEVEL);
+        return self._forEachGrayPlane(k => fn.call(self, a, b, c, gray ? (((color >> k) & 1) ? SH1106_WHITE : SH1106_BLACK) : color));
+    }
+
+
+    /**************************************************************************/
+    // Protected method to call fn(k) with _buffer set to each bit-plane k in
+    // turn.  The buffer functions check _grayDrawing to not recurse.
+    /**************************************************************************/
+    _forEachGrayPlane(fn) {
+        const self = this, planes = self._grayPlanes;
+        self._grayDrawing = true;
+        try {
+            planes.forEach((plane, k) => {
+                self._buffer = plane;
+                fn(k);
+            });
+        } finally {
+            self._buffer = planes[planes.length - 1];
+            self._grayDrawing = false;
+        }
+        return self;
+    }
+
+
+    /**************************************************************************/
+    // Protected method to send bit-plane k with its weighted contrast.
+    /**************************************************************************/
+    _sendGrayPlane(k) {
+        const self = this,
+              planes = self._grayPlanes,
+              w = self.WIDTH,
+              plane = planes[k],
+              colOffset = self._ramColumnOffset(),
+              contrast = self._dimmed ? 0 : toInt(self._contrast * (1 << k) / (1 << (planes.length - 1)));
+        self.oled_commandList([SH1106_SET_CONTRAST, contrast]);
+        for (let page = 0; page < self._dirtyX1.length; page++) {
+            self.oled_commandList([SH1106_PAGE_ADDR | (page + self.page_offset) & 0x0F,
+                                   SH1106_LOWER_COLUMN_ADDR | colOffset & 0x0F,
+                                   SH1106_HIGHER_COLUMN_ADDR | ((colOffset >>> 4) & 0x0F)]);
+            self.oled_data(plane.subarray(page * w, (page + 1) * w));
+        }
+        self._chain(async _ => {
+            self._grayStats.subframes++;
+        });
+        // The whole plane was sent, and the panel RAM no longer matches what display() last sent.
+        self._resetDirtyWindow();
+        return self.invalidateShadowRam();
+    }
+
+
+    /**************************************************************************/
+    // Protected method run by the grayscale timer.
+    /**************************************************************************/
+    _grayTick() {
+        const self = this, powerManager = self._powerManager;
+        if (self._grayInFlight || !self._displayOn || self._dimmed ||
+            (powerManager && (powerManager.getState() !== SH1106_PowerStates.SH1106_POWER_ACTIVE))) {
+            return self;
+        }
+        self._grayInFlight = true;
+        self._grayPlane = (self._grayPlane + 1) % self._grayPlanes.length;
+        self._sendGrayPlane(self._grayPlane);
+        self._recoverQueue(self._grayStats);
+        self._chain(async _ => {
+            self._grayInFlight = false;
+        });
+        return self;
+    }
+
+
+    /**************************************************************************/
+    // Protected method to show the most significant plane at the normal contrast.
+    /**************************************************************************/
+    _restoreMonochrome() {
+        const self = this;
+        self._grayStats.fps = 0;
+        self.oled_commandList([SH1106_SET_CONTRAST, self._dimmed ? 0 : self._contrast]);
+        self._setMaxDirtyWindow();
+        return self.display();
+    }
 
 
     /***********************************************/
@@ -369,6 +2407,69 @@ class Adafruit_SH1106 extends Adafruit_GrayOLED {
     // DRAWING FUNCTIONS -------------------------------------------------------
 
 
+    /**************************************************************************/
+    /*!
+        @brief  Fill the buffer completely with one color.
+        @param  color
+                Fill color, one of: SH1106_BLACK, SH1106_WHITE, SH1106_INVERSE
+                or an SH1106_Pattern.
+        @return this
+        @note   Overrides Adafruit_GrayOLED so that only the clip rectangle is
+                filled while one is set, and so that patterns and gray levels
+                go through the line routines.
+    */
+    /**************************************************************************/
+    fillScreen(color) {
+        const self = this, clip = self._clip;
+        if (clip) {
+            return self.fillRect(clip.x, clip.y, clip.w, clip.h, color);
+        }
+        if (self._grayPlanes || (color instanceof SH1106_Pattern)) {
+            return self.fillRect(0, 0, self.width(), self.height(), color);
+        }
+        return super.fillScreen(color);
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Set/clear/invert a single pixel.
+        @param  x
+                Column of display -- 0 at left to (screen width - 1) at right.
+        @param  y
+                Row of display -- 0 at top to (screen height -1) at bottom.
+        @param  color
+                Pixel color, one of: SH1106_BLACK, SH1106_WHITE, SH1106_INVERSE
+                or an SH1106_Pattern.
+        @return this
+        @note   Overrides Adafruit_GrayOLED so the pixel's page span is marked
+                dirty.  Changes buffer contents only, no immediate effect on
+                display.
+    */
+    /**************************************************************************/
+    drawPixel(x, y, color) {
+        const self = this, WIDTH = self.WIDTH, HEIGHT = self.HEIGHT;
+        if ((x >= 0) && (x < self.width()) && (y >= 0) && (y < self.height())) {
+            let t;
+            // Pixel is in-bounds. Rotate coordinates if needed.
+            switch (self.rotation) {
+                case 1:
+                    (t = x, x = WIDTH - y - 1, y = t);
+                    break;
+                case 2:
+                    x = WIDTH - x - 1;
+                    y = HEIGHT - y - 1;
+                    break;
+                case 3:
+                    (t = x, x = y, y = HEIGHT - t - 1);
+                    break;
+            }
+            self._drawFastHLineInternal(toInt(x), toInt(y), 1, color);
+        }
+        return self;
+    }
+
+
     /**************************************************************************/
     /*!
         @brief  Draw a horizontal line. This is also invoked by the Adafruit_GFX
@@ -380,7 +2481,8 @@ class Adafruit_SH1106 extends Adafruit_GrayOLED {
         @param  w
                 Width of line, in pixels.
         @param  color
-                Line color, one of: SH1106_BLACK, SH1106_WHITE or SH1106_INVERSE.
+                Line color, one of: SH1106_BLACK, SH1106_WHITE, SH1106_INVERSE
+                or an SH1106_Pattern.
         @return this
         @note   Changes buffer contents only, no immediate effect on display.
                 Follow up with a call to display(), or with other graphics
@@ -435,7 +2537,8 @@ class Adafruit_SH1106 extends Adafruit_GrayOLED {
         @param  h
                 Height of line, in pixels.
         @param  color
-                Line color, one of: SH1106_BLACK, SH1106_WHITE or SH1106_INVERSE.
+                Line color, one of: SH1106_BLACK, SH1106_WHITE, SH1106_INVERSE
+                or an SH1106_Pattern.
         @return this
         @note   Changes buffer contents only, no immediate effect on display.
                 Follow up with a call to display(), or with other graphics
@@ -488,34 +2591,35 @@ class Adafruit_SH1106 extends Adafruit_GrayOLED {
             @param w
                        Width of line, in pixels.
             @param color
-                   Line color, one of: SH1106_BLACK, SH1106_WHITE or
-       SH1106_INVERSE.
+                   Line color, one of: SH1106_BLACK, SH1106_WHITE,
+                   SH1106_INVERSE or an SH1106_Pattern.
         @return this
         @note   Changes buffer contents only, no immediate effect on display.
                 Follow up with a call to display(), or with other graphics
                 commands as needed by one's own application.
     */
     _drawFastHLineInternal(x, y, w, color) {
+        if (this._grayPlanes && !this._grayDrawing) {
+            return this._drawGrayPlanes(this._drawFastHLineInternal, x, y, w, color);
+        }
         const self = this,
             WIDTH = self.WIDTH,
             HEIGHT = self.HEIGHT,
             buffer = self._buffer;
         //console.log("SH1106::_drawFastHLineInternal(x:%d, y:%d, w:%d, color:%d)", x, y, w, color);
 
-        if ((y >= 0) && (y < HEIGHT)) { // Y coord in bounds?
-            if (x < 0) {                  // Clip left
-                w += x;
-                x = 0;
+        const clip = self._rawClipRect();
+        if ((y >= clip[1]) && (y < clip[3])) { // Y coord in clip rectangle?
+            if (x < clip[0]) {                  // Clip left
+                w -= (clip[0] - x);
+                x = clip[0];
             }
-            if ((x + w) > WIDTH) { // Clip right
-                w = (WIDTH - x);
+            if ((x + w) > clip[2]) { // Clip right
+                w = (clip[2] - x);
             }
             if (w > 0) { // Proceed only if width is positive
                 // adjust dirty window as buffer will be modified.
-                self.window_x1 = fMin(self.window_x1, x);
-                self.window_y1 = fMin(self.window_y1, y);
-                self.window_x2 = fMax(self.window_x2, (x + w - 1));
-                self.window_y2 = fMax(self.window_y2, y);
+                self._markDirty(x, y, (x + w - 1), y);
 
                 let index = x + toInt(y / 8) * WIDTH;
                 const value = (1 << (y & 7));
@@ -533,6 +2637,13 @@ class Adafruit_SH1106 extends Adafruit_GrayOLED {
                         while(w--)
                             buffer[index++] ^= value;
                         break;
+                    default:
+                        if (color instanceof SH1106_Pattern) {
+                            const columns = color._columns(self.rotation, WIDTH, HEIGHT);
+                            for (; w--; index++)
+                                buffer[index] = color._apply(buffer[index], value, columns[x++ & 7]);
+                        }
+                        break;
                 }
             }
         }
@@ -550,8 +2661,8 @@ class Adafruit_SH1106 extends Adafruit_GrayOLED {
                    Row of display -- 0 at top to (screen height -1) at bottom.
         @param h height of the line in pixels
         @param color
-                   Line color, one of: SH1106_BLACK, SH1106_WHITE or
-                   SH1106_INVERSE.
+                   Line color, one of: SH1106_BLACK, SH1106_WHITE,
+                   SH1106_INVERSE or an SH1106_Pattern.
         @return this
         @note   Changes buffer contents only, no immediate effect on display.
                 Follow up with a call to display(), or with other graphics
@@ -559,31 +2670,34 @@ class Adafruit_SH1106 extends Adafruit_GrayOLED {
     */
     /**************************************************************************/
     _drawFastVLineInternal(x, y, h, color) {
+        if (this._grayPlanes && !this._grayDrawing) {
+            return this._drawGrayPlanes(this._drawFastVLineInternal, x, y, h, color);
+        }
         const self = this,
             WIDTH = self.WIDTH,
             HEIGHT = self.HEIGHT,
             buffer = self._buffer;
         //console.log("SH1106::drawFastVLineInternal(x:%d, y:%d, h:%d, color:%d)", x, y, h, color);
-        if ((x >= 0) && (x < WIDTH)) { // X coord in bounds?
-            if (y < 0) { // Clip top
-                h += y;
-                y = 0;
+        const clip = self._rawClipRect();
+        if ((x >= clip[0]) && (x < clip[2])) { // X coord in clip rectangle?
+            if (y < clip[1]) { // Clip top
+                h -= (clip[1] - y);
+                y = clip[1];
             }
-            if ((y + h) > HEIGHT) { // Clip bottom
-                h = (HEIGHT - y);
+            if ((y + h) > clip[3]) { // Clip bottom
+                h = (clip[3] - y);
             }
             if (h > 0) { // Proceed only if height is now positive
                 // adjust dirty window as buffer will be modified.
-                self.window_x1 = fMin(self.window_x1, x);
-                self.window_y1 = fMin(self.window_y1, y);
-                self.window_x2 = fMax(self.window_x2, x);
-                self.window_y2 = fMax(self.window_y2, (y + h - 1));
+                self._markDirty(x, y, x, (y + h - 1));
 
                 // this display doesn't need ints for coordinates,
                 // use local byte registers for faster juggling
                 let yTemp = y, hTemp = h;
                 let index = x + toInt(yTemp / 8) * WIDTH;
                 let mod = yTemp & 7;
+                // Pattern bits for this column, if drawing with a pattern.
+                const bits = (color instanceof SH1106_Pattern) ? color._columns(self.rotation, WIDTH, HEIGHT)[x & 7] : 0;
                 const value = (1 << (yTemp & 7));
 
                 // do the first partial byte, if necessary - this requires some masking
@@ -608,6 +2722,10 @@ class Adafruit_SH1106 extends Adafruit_GrayOLED {
                     case SH1106_INVERSE:
                           buffer[index] ^= mask;
                           break;
+                    default:
+                          if (color instanceof SH1106_Pattern)
+                              buffer[index] = color._apply(buffer[index], mask, bits);
+                          break;
                     }
                     index += WIDTH;
                 }
@@ -624,6 +2742,12 @@ class Adafruit_SH1106 extends Adafruit_GrayOLED {
                                 index += WIDTH; // Advance index 8 rows
                                 hTemp -= 8;      // Subtract 8 rows from height
                             } while (hTemp >= 8);
+                        } else if (color instanceof SH1106_Pattern) {
+                            do {
+                                buffer[index] = color._apply(buffer[index], 0xFF, bits);
+                                index += WIDTH;
+                                hTemp -= 8;
+                            } while (hTemp >= 8);
                         } else {
                             // store a local value to work with
                             let val = (color != SH1106_BLACK) ? 0xFF : 0x00;
@@ -653,6 +2777,10 @@ class Adafruit_SH1106 extends Adafruit_GrayOLED {
                             case SH1106_INVERSE:
                                 buffer[index]  ^= mask;
                                 break;
+                            default:
+                                if (color instanceof SH1106_Pattern)
+                                    buffer[index] = color._apply(buffer[index], mask, bits);
+                                break;
                         }
                     }
                 }
@@ -0,0 +1,100 @@
+'use strict';
+//===============================================================
+// No Adafruit equivalent
+//
+// Transport mixin that feeds an in-memory SH1106_Emulator instead of
+// I2C/SPI hardware.  Use like Mixin_I2C_Display/Mixin_SPI_Display:
+//
+//   class Adafruit_SH1106_Emulated extends Mixin_Emulator_Display(Adafruit_SH1106) {}
+//===============================================================
+const Adafruit_GFX_Library = require("@lynniemagoo/adafruit-gfx-library");
+const {extractOption} = Adafruit_GFX_Library.Utils;
+
+const SH1106_Emulator = require("./SH1106_Emulator.js");
+
+const _debug_lifecycle = false;
+
+const Mixin_Emulator_Display = Base => class extends Base {
+
+    constructor(options) {
+        super(options);
+        const self = this;
+        _debug_lifecycle && console.log("Emulator_Display_Mixin::constructor() begin");
+        // Allow an existing emulator to be supplied so tests can keep a reference.
+        self._emulator = extractOption(self._options, "emulator", null) || new SH1106_Emulator();
+        _debug_lifecycle && console.log("Emulator_Display_Mixin::constructor() completed");
+    }
+
+
+    /**********************************************************************/
+    /*!
+        @brief  Get the emulated controller receiving commands and data.
+        @returns  SH1106_Emulator
+    */
+    /**********************************************************************/
+    getEmulator() {
+        return this._emulator;
+    }
+
+
+    _hardwareStartup() {
+        const self = this;
+        const doWork = async _ => {
+            _debug_lifecycle && console.log("Emulator_Display_Mixin::_hardwareStartup()");
+        };
+        self._chain(doWork);
+        return self;
+    }
+
+
+    _hardwareReset() {
+        const self = this;
+        const doWork = async _ => {
+            _debug_lifecycle && console.log("Emulator_Display_Mixin::_hardwareReset()");
+            self._emulator.reset();
+        };
+        self._chain(doWork);
+        return self;
+    }
+
+
+    _hardwareShutdown() {
+        const self = this;
+        const doWork = async _ => {
+            _debug_lifecycle && console.log("Emulator_Display_Mixin::_hardwareShutdown()");
+        };
+        self._chain(doWork);
+        return self;
+    }
+
+
+    _hardwareWriteCommand(command, data) {
+        const self = this, bytes = [];
+        if (null != command && undefined != command) {
+            bytes.push(command);
+        }
+        if (data && data.length) {
+            bytes.push.apply(bytes, data);
+        }
+        const doWork = async _ => {
+            bytes.length && self._emulator.command(bytes);
+        };
+        self._chain(doWork);
+        return self;
+    }
+
+
+    _hardwareWriteData(data) {
+        const self = this;
+        // Copy now - callers pass subarrays of _buffer that may change
+        // before the chained work runs.
+        const bytes = Uint8Array.from(data);
+        const doWork = async _ => {
+            self._emulator.data(bytes);
+        };
+        self._chain(doWork);
+        return self;
+    }
+};
+
+module.exports = {Mixin_Emulator_Display, SH1106_Emulator};
@@ -0,0 +1,252 @@
+'use strict';
+//===============================================================
+// No Adafruit equivalent
+//
+// In-memory model of the SH1106 controller.  Command and data bytes
+// are decoded exactly as the chip would see them so that the result
+// of begin()/display() can be checked without real hardware.
+//===============================================================
+const Util = require("util");
+
+// SH1106 Display RAM is 132 columns x 8 pages (64 lines).
+const SH1106_RAM_COLUMNS = 132;
+const SH1106_RAM_PAGES = 8;
+const SH1106_RAM_LINES = SH1106_RAM_PAGES * 8;
+
+// Commands that are followed by a single argument byte.
+const SH1106_DOUBLE_BYTE_COMMANDS = Object.freeze({
+    0x81: "contrast",
+    0xA8: "multiplex",
+    0xAD: "dcdc",
+    0xD3: "displayOffset",
+    0xD5: "clockDiv",
+    0xD9: "precharge",
+    0xDA: "comPins",
+    0xDB: "vcomDetect"
+});
+
+// Register values after a hardware reset (see datasheet).
+const SH1106_RESET_STATE = Object.freeze({
+    page: 0,
+    column: 0,
+    startLine: 0,
+    displayOffset: 0,
+    multiplex: 63,
+    segRemap: false,
+    comScanDec: false,
+    contrast: 0x80,
+    displayOn: false,
+    inverted: false,
+    allOn: false,
+    clockDiv: 0x50,
+    precharge: 0x22,
+    comPins: 0x12,
+    vcomDetect: 0x35,
+    pumpVoltage: 2,
+    dcdcOn: true,
+    readModifyWrite: false
+});
+
+
+class SH1106_Emulator {
+
+    constructor() {
+        const self = this;
+        self.ram = new Uint8Array(SH1106_RAM_COLUMNS * SH1106_RAM_PAGES);
+        self.log = [];
+        self.reset();
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Put all registers back to their hardware reset values.
+                As with the real chip, display RAM is left untouched.
+        @return this
+    */
+    /**************************************************************************/
+    reset() {
+        const self = this;
+        Object.assign(self, SH1106_RESET_STATE);
+        self._pendingCommand = null;
+        self._rmwColumn = 0;
+        return self;
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Forget all transactions recorded so far.
+        @return this
+    */
+    /**************************************************************************/
+    clearLog() {
+        this.log.length = 0;
+        return this;
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Decode one or more command bytes (D/C low).
+        @param  bytes  A single byte or an array of bytes.
+        @return this
+    */
+    /**************************************************************************/
+    command(bytes) {
+        const self = this,
+              arr = (typeof bytes === "number") ? [bytes] : Array.from(bytes);
+        self.log.push({type:"command", bytes:arr});
+        arr.forEach(b => self._decodeCommand(b & 0xFF));
+        return self;
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Write display data bytes (D/C high) at the current page and
+                column.  The column address increments after each byte and
+                stops at the last column; the page address never changes.
+        @param  bytes  Array, Uint8Array or Buffer of data bytes.
+        @return this
+    */
+    /**************************************************************************/
+    data(bytes) {
+        const self = this,
+              arr = Array.from(bytes),
+              ram = self.ram,
+              l = arr.length;
+        self.log.push({type:"data", page:self.page, column:self.column, bytes:arr});
+        for (let i = 0; i < l; i++) {
+            if (self.column < SH1106_RAM_COLUMNS) {
+                ram[self.page * SH1106_RAM_COLUMNS + self.column] = arr[i] & 0xFF;
+                self.column++;
+            }
+        }
+        return self;
+    }
+
+
+    _decodeCommand(b) {
+        const self = this;
+
+        if (self._pendingCommand !== null) {
+            const name = SH1106_DOUBLE_BYTE_COMMANDS[self._pendingCommand];
+            self._pendingCommand = null;
+            switch (name) {
+                case "multiplex":
+                    self.multiplex = b & 0x3F;
+                    break;
+                case "dcdc":
+                    // 0x8A = off, 0x8B = on.
+                    self.dcdcOn = !!(b & 0x01);
+                    break;
+                case "displayOffset":
+                    self.displayOffset = b & 0x3F;
+                    break;
+                default:
+                    self[name] = b;
+                    break;
+            }
+            return;
+        }
+
+        if (SH1106_DOUBLE_BYTE_COMMANDS.hasOwnProperty(b)) {
+            self._pendingCommand = b;
+        } else if (b <= 0x0F) {
+            self.column = (self.column & 0xF0) | (b & 0x0F);
+        } else if (b <= 0x1F) {
+            self.column = ((b & 0x0F) << 4) | (self.column & 0x0F);
+        } else if ((b >= 0x30) && (b <= 0x33)) {
+            self.pumpVoltage = b & 0x03;
+        } else if ((b >= 0x40) && (b <= 0x7F)) {
+            self.startLine = b & 0x3F;
+        } else if ((b === 0xA0) || (b === 0xA1)) {
+            self.segRemap = (b === 0xA1);
+        } else if ((b === 0xA4) || (b === 0xA5)) {
+            self.allOn = (b === 0xA5);
+        } else if ((b === 0xA6) || (b === 0xA7)) {
+            self.inverted = (b === 0xA7);
+        } else if ((b === 0xAE) || (b === 0xAF)) {
+            self.displayOn = (b === 0xAF);
+        } else if ((b >= 0xB0) && (b <= 0xB7)) {
+            self.page = b & 0x07;
+        } else if ((b >= 0xC0) && (b <= 0xCF)) {
+            self.comScanDec = !!(b & 0x08);
+        } else if (b === 0xE0) {
+            self.readModifyWrite = true;
+            self._rmwColumn = self.column;
+        } else if (b === 0xEE) {
+            self.readModifyWrite = false;
+            self.column = self._rmwColumn;
+        } else if (b === 0xE3) {
+            // NOP
+        } else {
+            throw new Error(Util.format("SH1106_Emulator: Unsupported command byte 0x%s", ("00" + b.toString(16)).substr(-2).toUpperCase()));
+        }
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Read a single bit from display RAM.
+        @param  column  RAM column 0-131
+        @param  line    RAM line 0-63
+        @return 1 if set, 0 otherwise.
+    */
+    /**************************************************************************/
+    getRamPixel(column, line) {
+        if ((column < 0) || (column >= SH1106_RAM_COLUMNS) || (line < 0) || (line >= SH1106_RAM_LINES)) {
+            return 0;
+        }
+        return (this.ram[(line >>> 3) * SH1106_RAM_COLUMNS + column] >>> (line & 7)) & 1;
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Return a copy of one RAM page.
+        @param  page  Page 0-7
+        @return Uint8Array of 132 bytes.
+    */
+    /**************************************************************************/
+    getRamPage(page) {
+        const start = (page & 0x07) * SH1106_RAM_COLUMNS;
+        return this.ram.slice(start, start + SH1106_RAM_COLUMNS);
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Return whether a pixel on the 132x64 glass is lit, applying the
+                segment remap, COM scan direction, start line, display offset,
+                multiplex ratio, on/off, entire-display-on and invert settings.
+        @param  x  Glass column 0-131, left to right.
+        @param  y  Glass row 0-63, top to bottom.
+        @return 1 if lit, 0 otherwise.
+        @note   The 'top' of the glass is the edge the library treats as the
+                top with its default SEG_REMAP_FLIP + COM_SCAN_DEC setup, so with
+                those settings glass (x, y) shows RAM column x, line y.
+    */
+    /**************************************************************************/
+    getScreenPixel(x, y) {
+        const self = this, rows = self.multiplex + 1;
+        if (!self.displayOn || (x < 0) || (x >= SH1106_RAM_COLUMNS) || (y < 0) || (y >= rows)) {
+            return 0;
+        }
+        if (self.allOn) {
+            return 1;
+        }
+        const column = self.segRemap ? x : (SH1106_RAM_COLUMNS - 1 - x),
+              row = self.comScanDec ? y : (rows - 1 - y),
+              line = (row + self.startLine + self.displayOffset) % SH1106_RAM_LINES,
+              bit = self.getRamPixel(column, line);
+        return self.inverted ? (bit ^ 1) : bit;
+    }
+}
+
+SH1106_Emulator.RAM_COLUMNS = SH1106_RAM_COLUMNS;
+SH1106_Emulator.RAM_PAGES = SH1106_RAM_PAGES;
+SH1106_Emulator.RAM_LINES = SH1106_RAM_LINES;
+
+module.exports = SH1106_Emulator;
@@ -0,0 +1,533 @@
+'use strict';
+//===============================================================
+// No Adafruit equivalent
+//
+// Minimal image encoders/decoders used to export the framebuffer and
+// to import images into it.
+// 1-bit images are passed as packed rows - 1 bit per pixel, MSB first,
+// each row padded to a whole byte (same layout as draw1BitBitmap)
+// where a set bit is a lit (white) pixel.
+//===============================================================
+const zlib = require("zlib");
+const Util = require("util");
+
+const toInt = Math.trunc,
+      fMin = Math.min,
+      fMax = Math.max,
+      fRound = Math.round;
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+
+const PNG_COLOR_TYPE_GRAYSCALE = 0;
+const PNG_COLOR_TYPE_RGB = 2;
+const PNG_COLOR_TYPE_PALETTE = 3;
+const PNG_COLOR_TYPE_GRAYSCALE_ALPHA = 4;
+const PNG_COLOR_TYPE_RGBA = 6;
+
+// Samples per pixel keyed by PNG color type.
+const PNG_CHANNELS = Object.freeze({
+    [PNG_COLOR_TYPE_GRAYSCALE]: 1,
+    [PNG_COLOR_TYPE_RGB]: 3,
+    [PNG_COLOR_TYPE_PALETTE]: 1,
+    [PNG_COLOR_TYPE_GRAYSCALE_ALPHA]: 2,
+    [PNG_COLOR_TYPE_RGBA]: 4
+});
+
+// 4x4 Bayer matrix for ordered dithering, values 0-15.
+const BAYER_4X4 = [
+     0,  8,  2, 10,
+    12,  4, 14,  6,
+     3, 11,  1,  9,
+    15,  7, 13,  5
+];
+
+// Error diffusion kernels as [dx, dy, weight] with the weights divisor.
+const DIFFUSION_KERNELS = Object.freeze({
+    "floyd-steinberg": {divisor:16, taps:[[1, 0, 7], [-1, 1, 3], [0, 1, 5], [1, 1, 1]]},
+    "atkinson": {divisor:8, taps:[[1, 0, 1], [2, 0, 1], [-1, 1, 1], [0, 1, 1], [1, 1, 1], [0, 2, 1]]}
+});
+
+const DITHER_MODES = Object.freeze(["threshold", "floyd-steinberg", "atkinson", "bayer"]);
+
+// CRC-32 lookup table used by PNG chunks.
+const CRC_TABLE = (() => {
+    const table = new Int32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+        }
+        table[n] = c;
+    }
+    return table;
+})();
+
+
+function crc32(bytes) {
+    let crc = -1;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ -1) >>> 0;
+}
+
+
+function pngChunk(type, data) {
+    const chunk = Buffer.alloc(12 + data.length);
+    chunk.writeUInt32BE(data.length, 0);
+    chunk.write(type, 4, "latin1");
+    Buffer.from(data.buffer, data.byteOffset, data.length).copy(chunk, 8);
+    chunk.writeUInt32BE(crc32(chunk.subarray(4, 8 + data.length)), 8 + data.length);
+    return chunk;
+}
+
+
+/**************************************************************************/
+/*!
+    @brief  Encode packed rows as a 1-bit grayscale PNG.
+    @param  width   Image width in pixels.
+    @param  height  Image height in pixels.
+    @param  rows    Packed rows - ((width + 7) >> 3) bytes per row.
+    @return Buffer containing the PNG file.
+*/
+/**************************************************************************/
+function encodePNG(width, height, rows) {
+    const byteWidth = (width + 7) >> 3,
+          raw = Buffer.alloc((byteWidth + 1) * height);
+    for (let y = 0; y < height; y++) {
+        // Filter type 0 (None) followed by the row.
+        raw[y * (byteWidth + 1)] = 0;
+        Buffer.from(rows.buffer, rows.byteOffset + y * byteWidth, byteWidth).copy(raw, y * (byteWidth + 1) + 1);
+    }
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 1;                          // Bit depth
+    header[9] = PNG_COLOR_TYPE_GRAYSCALE;
+    header[10] = 0;                         // Compression - deflate
+    header[11] = 0;                         // Filter - adaptive
+    header[12] = 0;                         // Interlace - none
+    return Buffer.concat([PNG_SIGNATURE,
+                          pngChunk("IHDR", header),
+                          pngChunk("IDAT", zlib.deflateSync(raw)),
+                          pngChunk("IEND", Buffer.alloc(0))]);
+}
+
+
+/**************************************************************************/
+/*!
+    @brief  Encode packed rows as a binary (P4) PBM.
+    @param  width   Image width in pixels.
+    @param  height  Image height in pixels.
+    @param  rows    Packed rows - ((width + 7) >> 3) bytes per row.
+    @return Buffer containing the PBM file.
+    @note   PBM uses 1 for black so bits are inverted to keep lit pixels white.
+*/
+/**************************************************************************/
+function encodePBM(width, height, rows) {
+    const byteWidth = (width + 7) >> 3,
+          header = Buffer.from("P4\n" + width + " " + height + "\n", "latin1"),
+          body = Buffer.alloc(byteWidth * height);
+    for (let i = 0; i < body.length; i++) {
+        body[i] = ~rows[i] & 0xFF;
+    }
+    return Buffer.concat([header, body]);
+}
+
+
+// Grayscale value of an RGB color using Rec. 601 luma weights.
+function luma(r, g, b) {
+    return toInt((r * 299 + g * 587 + b * 114) / 1000);
+}
+
+
+function paethPredictor(a, b, c) {
+    const p = a + b - c, pa = Math.abs(p - a), pb = Math.abs(p - b), pc = Math.abs(p - c);
+    return ((pa <= pb) && (pa <= pc)) ? a : ((pb <= pc) ? b : c);
+}
+
+
+/**************************************************************************/
+/*!
+    @brief  Decode a non-interlaced PNG of any color type and bit depth.
+    @param  png  Buffer containing the PNG file.
+    @return Object {width, height, data} where data holds one 8-bit gray
+            value per pixel.  Transparent pixels are composited onto black.
+*/
+/**************************************************************************/
+function decodePNG(png) {
+    png = Buffer.from(png.buffer, png.byteOffset, png.length);
+    if ((png.length < 8) || !png.subarray(0, 8).equals(PNG_SIGNATURE)) {
+        throw new Error("Invalid PNG: Bad signature.");
+    }
+    let width = 0, height = 0, bitDepth = 0, colorType = 0, interlace = 0,
+        palette = null, paletteAlpha = null;
+    const idat = [];
+    for (let i = 8; i + 8 <= png.length;) {
+        const length = png.readUInt32BE(i),
+              type = png.toString("latin1", i + 4, i + 8),
+              data = png.subarray(i + 8, i + 8 + length);
+        if (type === "IHDR") {
+            width = data.readUInt32BE(0);
+            height = data.readUInt32BE(4);
+            bitDepth = data[8];
+            colorType = data[9];
+            interlace = data[12];
+        } else if (type === "PLTE") {
+            palette = data;
+        } else if (type === "tRNS") {
+            paletteAlpha = data;
+        } else if (type === "IDAT") {
+            idat.push(data);
+        } else if (type === "IEND") {
+            break;
+        }
+        i += 12 + length;
+    }
+    if (!width || !height || !PNG_CHANNELS.hasOwnProperty(colorType)) {
+        throw new Error(Util.format("Invalid PNG: Unsupported header width:%d height:%d colorType:%d.", width, height, colorType));
+    }
+    if (interlace) {
+        throw new Error("Invalid PNG: Interlaced images are not supported.");
+    }
+    if ((colorType === PNG_COLOR_TYPE_PALETTE) && !palette) {
+        throw new Error("Invalid PNG: Missing palette.");
+    }
+
+    const channels = PNG_CHANNELS[colorType],
+          bitsPerPixel = channels * bitDepth,
+          bpp = fMax(1, bitsPerPixel >> 3),
+          stride = (width * bitsPerPixel + 7) >> 3,
+          raw = zlib.inflateSync(Buffer.concat(idat)),
+          pixels = Buffer.alloc(stride * height);
+
+    // Undo scanline filters.
+    for (let y = 0; y < height; y++) {
+        const filter = raw[y * (stride + 1)],
+              src = y * (stride + 1) + 1,
+              dst = y * stride;
+        for (let x = 0; x < stride; x++) {
+            const a = (x >= bpp) ? pixels[dst + x - bpp] : 0,
+                  b = (y > 0) ? pixels[dst - stride + x] : 0,
+                  c = ((x >= bpp) && (y > 0)) ? pixels[dst - stride + x - bpp] : 0;
+            let v = raw[src + x];
+            switch (filter) {
+                case 0: break;
+                case 1: v += a; break;
+                case 2: v += b; break;
+                case 3: v += (a + b) >> 1; break;
+                case 4: v += paethPredictor(a, b, c); break;
+                default:
+                    throw new Error(Util.format("Invalid PNG: Unknown filter type %d.", filter));
+            }
+            pixels[dst + x] = v & 0xFF;
+        }
+    }
+
+    // Read one sample scaled to 8 bits.
+    const maxSample = (1 << fMin(bitDepth, 8)) - 1;
+    const sample = (row, index) => {
+        if (bitDepth === 16) {
+            return pixels[row + index * 2];
+        } else if (bitDepth === 8) {
+            return pixels[row + index];
+        }
+        const bit = index * bitDepth,
+              v = (pixels[row + (bit >> 3)] >> (8 - bitDepth - (bit & 7))) & maxSample;
+        // Palette indexes are not scaled.
+        return (colorType === PNG_COLOR_TYPE_PALETTE) ? v : toInt(v * 255 / maxSample);
+    };
+
+    const data = new Uint8Array(width * height);
+    for (let y = 0; y < height; y++) {
+        const row = y * stride;
+        for (let x = 0; x < width; x++) {
+            const i = x * channels;
+            let gray, alpha = 255;
+            switch (colorType) {
+                case PNG_COLOR_TYPE_GRAYSCALE:
+                    gray = sample(row, i);
+                    break;
+                case PNG_COLOR_TYPE_RGB:
+                    gray = luma(sample(row, i), sample(row, i + 1), sample(row, i + 2));
+                    break;
+                case PNG_COLOR_TYPE_PALETTE: {
+                    const index = sample(row, i);
+                    gray = luma(palette[index * 3], palette[index * 3 + 1], palette[index * 3 + 2]);
+                    alpha = (paletteAlpha && (index < paletteAlpha.length)) ? paletteAlpha[index] : 255;
+                    break;
+                }
+                case PNG_COLOR_TYPE_GRAYSCALE_ALPHA:
+                    gray = sample(row, i);
+                    alpha = sample(row, i + 1);
+                    break;
+                case PNG_COLOR_TYPE_RGBA:
+                    gray = luma(sample(row, i), sample(row, i + 1), sample(row, i + 2));
+                    alpha = sample(row, i + 3);
+                    break;
+            }
+            data[y * width + x] = toInt(gray * alpha / 255);
+        }
+    }
+    return {width, height, data};
+}
+
+
+/**************************************************************************/
+/*!
+    @brief  Decode a PBM (P1/P4) or PGM (P2/P5) image.
+    @param  pnm  Buffer containing the file.
+    @return Object {width, height, data} where data holds one 8-bit gray
+            value per pixel.  PBM black pixels become 0, white 255.
+*/
+/**************************************************************************/
+function decodePNM(pnm) {
+    pnm = Buffer.from(pnm.buffer, pnm.byteOffset, pnm.length);
+    const magic = pnm.toString("latin1", 0, 2),
+          bitmap = (magic === "P1") || (magic === "P4"),
+          ascii = (magic === "P1") || (magic === "P2");
+    if (!["P1", "P2", "P4", "P5"].includes(magic)) {
+        throw new Error("Invalid PBM/PGM: Bad magic number.");
+    }
+    // Read whitespace separated header tokens, skipping comments.
+    let pos = 2;
+    const nextToken = () => {
+        for (;;) {
+            while ((pos < pnm.length) && /\s/.test(String.fromCharCode(pnm[pos]))) pos++;
+            if (pnm[pos] === 0x23) {
+                while ((pos < pnm.length) && (pnm[pos] !== 0x0A)) pos++;
+            } else {
+                break;
+            }
+        }
+        const start = pos;
+        while ((pos < pnm.length) && !/\s/.test(String.fromCharCode(pnm[pos]))) pos++;
+        return pnm.toString("latin1", start, pos);
+    };
+    const width = parseInt(nextToken(), 10),
+          height = parseInt(nextToken(), 10),
+          maxValue = bitmap ? 1 : parseInt(nextToken(), 10);
+    if (!(width > 0) || !(height > 0) || !(maxValue > 0)) {
+        throw new Error("Invalid PBM/PGM: Bad header.");
+    }
+    const data = new Uint8Array(width * height);
+    if (ascii) {
+        for (let i = 0; i < data.length; i++) {
+            const token = bitmap ? (() => {
+                // P1 digits need not be separated by whitespace.
+                while ((pos < pnm.length) && !((pnm[pos] === 0x30) || (pnm[pos] === 0x31))) pos++;
+                return String.fromCharCode(pnm[pos++]);
+            })() : nextToken();
+            const v = parseInt(token, 10);
+            data[i] = bitmap ? (v ? 0 : 255) : toInt(fMin(v, maxValue) * 255 / maxValue);
+        }
+    } else {
+        // Exactly one whitespace character follows the header.
+        pos++;
+        if (bitmap) {
+            const byteWidth = (width + 7) >> 3;
+            for (let y = 0; y < height; y++) {
+                for (let x = 0; x < width; x++) {
+                    const bit = (pnm[pos + y * byteWidth + (x >> 3)] >> (7 - (x & 7))) & 1;
+                    data[y * width + x] = bit ? 0 : 255;
+                }
+            }
+        } else {
+            const wide = maxValue > 255;
+            for (let i = 0; i < data.length; i++) {
+                const v = wide ? pnm.readUInt16BE(pos + i * 2) : pnm[pos + i];
+                data[i] = toInt(fMin(v, maxValue) * 255 / maxValue);
+            }
+        }
+    }
+    return {width, height, data};
+}
+
+
+/**************************************************************************/
+/*!
+    @brief  Decode a PNG, PBM or PGM file, or convert raw pixels to gray.
+    @param  image
+            Buffer/Uint8Array containing a PNG, PBM or PGM file, or an
+            object {width, height, data, channels} with raw pixels where
+            channels is 1 (gray), 2 (gray + alpha), 3 (RGB) or 4 (RGBA).
+            channels defaults to data.length / (width * height).
+    @return Object {width, height, data} where data holds one 8-bit gray
+            value per pixel.
+*/
+/**************************************************************************/
+function decodeImage(image) {
+    if (image instanceof Uint8Array) {
+        if ((image.length >= 8) && (image[0] === 0x89) && (image[1] === 0x50)) {
+            return decodePNG(image);
+        }
+        if ((image.length >= 2) && (image[0] === 0x50)) {
+            return decodePNM(image);
+        }
+        throw new Error("Invalid image: Expected PNG, PBM or PGM data.");
+    }
+    const width = image && image.width, height = image && image.height, src = image && image.data;
+    if (!Number.isInteger(width) || !Number.isInteger(height) || (width <= 0) || (height <= 0) || !src) {
+        throw new Error("Invalid image: Expected {width, height, data}.");
+    }
+    const count = width * height,
+          channels = image.channels || (src.length / count);
+    if (![1, 2, 3, 4].includes(channels) || (src.length < count * channels)) {
+        throw new Error(Util.format("Invalid image: Expected 1 to 4 channels of %d pixels.", count));
+    }
+    const data = new Uint8Array(count);
+    for (let i = 0, j = 0; i < count; i++, j += channels) {
+        const gray = (channels < 3) ? src[j] : luma(src[j], src[j + 1], src[j + 2]),
+              alpha = (channels === 2) ? src[j + 1] : ((channels === 4) ? src[j + 3] : 255);
+        data[i] = toInt(gray * alpha / 255);
+    }
+    return {width, height, data};
+}
+
+
+/**************************************************************************/
+/*!
+    @brief  Resize a gray image.  Shrinking averages the source pixels
+            covered by each destination pixel; enlarging repeats pixels.
+    @param  image   Object {width, height, data}
+    @param  width   New width.
+    @param  height  New height.
+    @return Object {width, height, data}
+*/
+/**************************************************************************/
+function scaleImage(image, width, height) {
+    const sw = image.width, sh = image.height, src = image.data;
+    if ((sw === width) && (sh === height)) {
+        return image;
+    }
+    const data = new Uint8Array(width * height);
+    for (let y = 0; y < height; y++) {
+        const y0 = toInt(y * sh / height), y1 = fMax(y0 + 1, toInt((y + 1) * sh / height));
+        for (let x = 0; x < width; x++) {
+            const x0 = toInt(x * sw / width), x1 = fMax(x0 + 1, toInt((x + 1) * sw / width));
+            let sum = 0;
+            for (let sy = y0; sy < y1; sy++) {
+                for (let sx = x0; sx < x1; sx++) {
+                    sum += src[sy * sw + sx];
+                }
+            }
+            data[y * width + x] = fRound(sum / ((y1 - y0) * (x1 - x0)));
+        }
+    }
+    return {width, height, data};
+}
+
+
+/**************************************************************************/
+/*!
+    @brief  Reduce a gray image to 1 bit per pixel.
+    @param  image    Object {width, height, data}
+    @param  dither   "threshold" (default), "floyd-steinberg", "atkinson"
+                     or "bayer"
+    @param  threshold  Gray level 0-255 at or above which a pixel is lit
+                       (default 128).  Used by "threshold" and the error
+                       diffusion modes.
+    @return Object {width, height, data} where data holds packed rows.
+*/
+/**************************************************************************/
+function ditherImage(image, dither = "threshold", threshold = 128) {
+    if (!DITHER_MODES.includes(dither)) {
+        throw new Error(Util.format("Invalid dither: %o. Expected one of %s.", dither, DITHER_MODES.join(", ")));
+    }
+    const width = image.width, height = image.height,
+          byteWidth = (width + 7) >> 3,
+          rows = Buffer.alloc(byteWidth * height),
+          kernel = DIFFUSION_KERNELS[dither],
+          // Working copy with room for diffused error.
+          levels = kernel ? Float32Array.from(image.data) : image.data;
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = y * width + x, level = levels[i];
+            let lit;
+            if (dither === "bayer") {
+                lit = level > (BAYER_4X4[(y & 3) * 4 + (x & 3)] * 16 + 8);
+            } else {
+                lit = level >= threshold;
+            }
+            if (lit) {
+                rows[y * byteWidth + (x >> 3)] |= (0x80 >> (x & 7));
+            }
+            if (kernel) {
+                const error = level - (lit ? 255 : 0);
+                for (const [dx, dy, weight] of kernel.taps) {
+                    const nx = x + dx, ny = y + dy;
+                    if ((nx >= 0) && (nx < width) && (ny < height)) {
+                        levels[ny * width + nx] += error * weight / kernel.divisor;
+                    }
+                }
+            }
+        }
+    }
+    return {width, height, data:rows};
+}
+
+
+/**************************************************************************/
+/*!
+    @brief  Convert an image to a packed 1-bit bitmap for draw1BitBitmap().
+    @param  image    See decodeImage().
+    @param  options
+            width, height - size to scale to.  If only one is given, the
+                            other follows the aspect ratio.
+            fit - true to scale down (or up) to fit inside width x height
+                  keeping the aspect ratio.
+            dither, threshold - see ditherImage().
+            invert - true to light dark pixels instead.
+    @return Object {width, height, data} where data holds packed rows.
+*/
+/**************************************************************************/
+function imageTo1Bit(image, options) {
+    const opts = Object.assign({}, options);
+    let gray = decodeImage(image), width = opts.width, height = opts.height;
+    if (width || height) {
+        const sw = gray.width, sh = gray.height;
+        if (opts.fit && width && height) {
+            const scale = fMin(width / sw, height / sh);
+            width = fRound(sw * scale);
+            height = fRound(sh * scale);
+        } else if (!height) {
+            height = fRound(sh * width / sw);
+        } else if (!width) {
+            width = fRound(sw * height / sh);
+        }
+        gray = scaleImage(gray, fMax(1, width), fMax(1, height));
+    }
+    if (opts.invert) {
+        gray = {width:gray.width, height:gray.height, data:gray.data.map(v => 255 - v)};
+    }
+    return ditherImage(gray, opts.dither || "threshold", (undefined === opts.threshold) ? 128 : opts.threshold);
+}
+
+
+/**************************************************************************/
+/*!
+    @brief  Convert a packed row-major bitmap, as used by draw1BitBitmap(),
+            to the SH1106 page layout used by drawPageBitmap().
+    @param  data    Packed rows, MSB first, rows padded to whole bytes.
+    @param  width   Bitmap width in pixels.
+    @param  height  Bitmap height in pixels.
+    @return Uint8Array where byte x + page * width holds rows page * 8 to
+            page * 8 + 7 of column x, LSB at the top.
+*/
+/**************************************************************************/
+function rowMajorToPageMajor(data, width, height) {
+    const byteWidth = (width + 7) >> 3, pages = new Uint8Array(width * ((height + 7) >> 3));
+    for (let y = 0; y < height; y++) {
+        const bit = 1 << (y & 7), base = (y >> 3) * width;
+        for (let x = 0; x < width; x++) {
+            if (data[y * byteWidth + (x >> 3)] & (0x80 >> (x & 7))) {
+                pages[base + x] |= bit;
+            }
+        }
+    }
+    return pages;
+}
+
+
+module.exports = {encodePNG, encodePBM, decodePNG, decodePNM, decodeImage, scaleImage, ditherImage, imageTo1Bit, rowMajorToPageMajor, crc32};
@@ -0,0 +1,256 @@
+'use strict';
+//===============================================================
+// No Adafruit equivalent
+//
+// One GFX canvas spanning several displays, for example two 128x64
+// SH1106 modules side by side at I2C addresses 0x3C and 0x3D:
+//
+//   const multi = new SH1106_MultiDisplay({panels:[
+//       {display:left,  x:0,   y:0},
+//       {display:right, x:128, y:0}
+//   ]});
+//   await multi.startup();
+//   multi.drawLine(0, 0, 255, 63, SH1106_WHITE).display();
+//
+// Drawing goes straight into the buffer of each panel, using the
+// panel's own rotation and offsets.  Panels are placed by their
+// top left corner and occupy their rotated width() x height().
+//===============================================================
+const Util = require("util");
+const Adafruit_GFX_Library = require("@lynniemagoo/adafruit-gfx-library");
+const Adafruit_GFX = Adafruit_GFX_Library.Core.Adafruit_GFX;
+const {extractOption} = Adafruit_GFX_Library.Utils;
+
+const fMin = Math.min,
+      fMax = Math.max;
+
+
+function _validatePanels(panels) {
+    if (!Array.isArray(panels) || !panels.length) {
+        throw new Error("Invalid panels: Expected a non-empty list of {display, x, y}.");
+    }
+    return panels.map((panel, index) => {
+        const display = extractOption(panel, "display", null),
+              x = extractOption(panel, "x", 0),
+              y = extractOption(panel, "y", 0);
+        if (!display || (typeof display.drawPixel !== "function") || (typeof display.display !== "function")) {
+            throw new Error(Util.format("Invalid panel %d: Expected a display.", index));
+        }
+        if (!Number.isInteger(x) || !Number.isInteger(y) || (x < 0) || (y < 0)) {
+            throw new Error(Util.format("Invalid panel %d: x and y must be non-negative integers.", index));
+        }
+        return {display, x, y};
+    });
+}
+
+
+class SH1106_MultiDisplay extends Adafruit_GFX {
+
+    /**************************************************************************/
+    /*!
+        @brief  Create a canvas spanning several displays.
+        @param  options
+                panels - list of {display, x, y} placing each display
+                width, height - canvas size, defaults to the area covered by
+                the panels
+                rotation - canvas rotation (default 0)
+    */
+    /**************************************************************************/
+    constructor(options) {
+        const panels = _validatePanels(extractOption(Object.assign({}, options), "panels", null)),
+              optionsShallow = Object.assign({
+                  width:panels.reduce((w, panel) => fMax(w, panel.x + panel.display.width()), 0),
+                  height:panels.reduce((h, panel) => fMax(h, panel.y + panel.display.height()), 0)
+              }, options);
+        super(optionsShallow);
+        this._panels = panels;
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Get the panels making up the canvas.
+        @return Array of {display, x, y}.
+    */
+    /**************************************************************************/
+    getPanels() {
+        return this._panels.map(panel => Object.assign({}, panel));
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Start all panels in parallel.
+    */
+    /**************************************************************************/
+    async startup() {
+        await Promise.all(this._panels.map(panel => panel.display.startup()));
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Shut down all panels in parallel.
+    */
+    /**************************************************************************/
+    async shutdown() {
+        await Promise.all(this._panels.map(panel => panel.display.shutdown()));
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Send the dirty parts of every panel.
+        @return this - await it to wait for all panels.
+        @note   Each panel has its own queue, so panels on separate buses are
+                written in parallel.
+    */
+    /**************************************************************************/
+    display() {
+        const self = this;
+        self._panels.forEach(panel => panel.display.display());
+        self._chain(_ => Promise.all(self._panels.map(panel => new Promise(resolve => panel.display.then(resolve)))));
+        return self;
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Clear every panel buffer.
+        @return this
+    */
+    /**************************************************************************/
+    clearDisplay() {
+        return this.fillScreen(0);
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Fill every panel buffer with one color.
+        @param  color  Color to fill with.
+        @return this
+    */
+    /**************************************************************************/
+    fillScreen(color) {
+        const self = this;
+        self._panels.forEach(panel => panel.display.fillRect(0, 0, panel.display.width(), panel.display.height(), color));
+        return self;
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Set/clear/invert a single pixel of the canvas.
+        @param  x      Column -- 0 at left to (width - 1) at right.
+        @param  y      Row -- 0 at top to (height - 1) at bottom.
+        @param  color  Pixel color.
+        @return this
+    */
+    /**************************************************************************/
+    drawPixel(x, y, color) {
+        const self = this, WIDTH = self.WIDTH, HEIGHT = self.HEIGHT;
+        if ((x >= 0) && (x < self.width()) && (y >= 0) && (y < self.height())) {
+            let t;
+            switch (self.rotation) {
+                case 1:
+                    (t = x, x = WIDTH - y - 1, y = t);
+                    break;
+                case 2:
+                    x = WIDTH - x - 1;
+                    y = HEIGHT - y - 1;
+                    break;
+                case 3:
+                    (t = x, x = y, y = HEIGHT - t - 1);
+                    break;
+            }
+            self._panels.forEach(panel => {
+                const px = x - panel.x, py = y - panel.y;
+                if ((px >= 0) && (px < panel.display.width()) && (py >= 0) && (py < panel.display.height())) {
+                    panel.display.drawPixel(px, py, color);
+                }
+            });
+        }
+        return self;
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Draw a horizontal line across the canvas.
+        @param  x      Leftmost column.
+        @param  y      Row.
+        @param  w      Width of line, in pixels.
+        @param  color  Line color.
+        @return this
+    */
+    /**************************************************************************/
+    drawFastHLine(x, y, w, color) {
+        const self = this, WIDTH = self.WIDTH, HEIGHT = self.HEIGHT;
+        switch (self.rotation) {
+            case 1:
+                return self._drawFastVLineInternal(WIDTH - y - 1, x, w, color);
+            case 2:
+                return self._drawFastHLineInternal(WIDTH - x - w, HEIGHT - y - 1, w, color);
+            case 3:
+                return self._drawFastVLineInternal(y, HEIGHT - x - w, w, color);
+        }
+        return self._drawFastHLineInternal(x, y, w, color);
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Draw a vertical line across the canvas.
+        @param  x      Column.
+        @param  y      Topmost row.
+        @param  h      Height of line, in pixels.
+        @param  color  Line color.
+        @return this
+    */
+    /**************************************************************************/
+    drawFastVLine(x, y, h, color) {
+        const self = this, WIDTH = self.WIDTH, HEIGHT = self.HEIGHT;
+        switch (self.rotation) {
+            case 1:
+                return self._drawFastHLineInternal(WIDTH - y - h, x, h, color);
+            case 2:
+                return self._drawFastVLineInternal(WIDTH - x - 1, HEIGHT - y - h, h, color);
+            case 3:
+                return self._drawFastHLineInternal(y, HEIGHT - x - 1, h, color);
+        }
+        return self._drawFastVLineInternal(x, y, h, color);
+    }
+
+
+    // Split an unrotated horizontal line between the panels it crosses, clipped to the canvas.
+    _drawFastHLineInternal(x, y, w, color) {
+        const self = this;
+        self._panels.forEach(panel => {
+            const py = y - panel.y,
+                  x1 = fMax(x, panel.x, 0),
+                  x2 = fMin(x + w, panel.x + panel.display.width(), self.WIDTH);
+            if ((y < self.HEIGHT) && (py >= 0) && (py < panel.display.height()) && (x2 > x1)) {
+                panel.display.drawFastHLine(x1 - panel.x, py, x2 - x1, color);
+            }
+        });
+        return self;
+    }
+
+
+    // Split an unrotated vertical line between the panels it crosses, clipped to the canvas.
+    _drawFastVLineInternal(x, y, h, color) {
+        const self = this;
+        self._panels.forEach(panel => {
+            const px = x - panel.x,
+                  y1 = fMax(y, panel.y, 0),
+                  y2 = fMin(y + h, panel.y + panel.display.height(), self.HEIGHT);
+            if ((x < self.WIDTH) && (px >= 0) && (px < panel.display.width()) && (y2 > y1)) {
+                panel.display.drawFastVLine(px, y1 - panel.y, y2 - y1, color);
+            }
+        });
+        return self;
+    }
+}
+
+module.exports = {SH1106_MultiDisplay};
@@ -0,0 +1,118 @@
+'use strict';
+//===============================================================
+// No Adafruit equivalent
+//
+// Registry of named panel profiles.  A profile bundles the constructor
+// options needed to bring up a particular SH1106 module and is selected
+// with the 'panel' option:
+//
+//   new Adafruit_SH1106_I2C({panel:"128x32", i2cAddress:0x3C});
+//
+// Options passed to the constructor override those of the profile.
+//===============================================================
+const Util = require("util");
+
+// Constructor options a profile may specify.
+const PROFILE_KEYS = Object.freeze([
+    "width", "height", "multiplex", "comPins", "colOffset", "pageOffset",
+    "displayOffset", "startLine", "contrast", "precharge", "clockDiv",
+    "vcomDetect", "pumpVoltage", "dcdc"
+]);
+
+const _profiles = new Map();
+
+
+function _validateProfile(name, profile) {
+    if (!profile || (typeof profile !== "object")) {
+        throw new Error(Util.format("Invalid panel profile '%s': Expected an object.", name));
+    }
+    Object.keys(profile).forEach(key => {
+        if (!PROFILE_KEYS.includes(key)) {
+            throw new Error(Util.format("Invalid panel profile '%s': Unknown option '%s'.", name, key));
+        }
+    });
+    ["width", "height"].forEach(key => {
+        if (!Number.isInteger(profile[key]) || (profile[key] <= 0)) {
+            throw new Error(Util.format("Invalid panel profile '%s': '%s' must be a positive integer.", name, key));
+        }
+    });
+    return Object.freeze(Object.assign({}, profile));
+}
+
+
+/**************************************************************************/
+/*!
+    @brief  Register a named panel profile.
+    @param  name     Name used with the 'panel' option.
+    @param  profile  Object containing constructor options.  'width' and
+                     'height' are required.
+    @return The frozen copy of the profile that was registered.
+*/
+/**************************************************************************/
+function registerPanelProfile(name, profile) {
+    if ((typeof name !== "string") || !name.length) {
+        throw new Error("Invalid panel profile name: Expected a non-empty string.");
+    }
+    if (_profiles.has(name)) {
+        throw new Error(Util.format("Panel profile '%s' is already registered.", name));
+    }
+    const frozen = _validateProfile(name, profile);
+    _profiles.set(name, frozen);
+    return frozen;
+}
+
+
+/**************************************************************************/
+/*!
+    @brief  Look up a registered panel profile.
+    @param  name  Profile name.
+    @return The frozen profile.
+*/
+/**************************************************************************/
+function getPanelProfile(name) {
+    if (!_profiles.has(name)) {
+        throw new Error(Util.format("Unknown panel profile '%s'.  Registered profiles are: %s.", name, getPanelProfileNames().join(", ")));
+    }
+    return _profiles.get(name);
+}
+
+
+/**************************************************************************/
+/*!
+    @brief  Get the names of all registered panel profiles.
+    @return Array of names.
+*/
+/**************************************************************************/
+function getPanelProfileNames() {
+    return Array.from(_profiles.keys());
+}
+
+
+// Built-in profiles.
+
+// Most common 1.3" module - 128 columns wired to SEG2..SEG129.
+registerPanelProfile("128x64-generic", {
+    width:128, height:64, multiplex:63, comPins:0x12, colOffset:2, pageOffset:0, contrast:0x8F, precharge:0xF1
+});
+
+// 128x64 modules with the glass wired to SEG0..SEG127.
+registerPanelProfile("128x64-offset0", {
+    width:128, height:64, multiplex:63, comPins:0x12, colOffset:0, pageOffset:0, contrast:0x8F, precharge:0xF1
+});
+
+registerPanelProfile("128x32", {
+    width:128, height:32, multiplex:31, comPins:0x02, colOffset:2, pageOffset:0, contrast:0x8F, precharge:0xF1
+});
+
+// Use the whole 132 column display RAM.
+registerPanelProfile("132x64-full-ram", {
+    width:132, height:64, multiplex:63, comPins:0x12, colOffset:0, pageOffset:0, contrast:0x8F, precharge:0xF1
+});
+
+// 0.66" modules - 64 columns centered in display RAM.
+registerPanelProfile("64x48", {
+    width:64, height:48, multiplex:47, comPins:0x12, colOffset:34, pageOffset:0, contrast:0x8F, precharge:0xF1
+});
+
+
+module.exports = {registerPanelProfile, getPanelProfile, getPanelProfileNames};
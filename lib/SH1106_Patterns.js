@@ -0,0 +1,157 @@
+'use strict';
+//===============================================================
+// No Adafruit equivalent
+//
+// Pattern "colors" for shading on a monochrome panel.  A pattern
+// can be passed as the color of any primitive that draws through
+// drawFastHLine()/drawFastVLine() - lines, rectangles, circles,
+// triangles, text and drawPixel():
+//
+//   const {SH1106_PATTERN_50} = SH1106_Patterns;
+//   display.fillRect(0, 0, 40, 64, SH1106_PATTERN_50);
+//   display.fillCircle(64, 32, 20, new SH1106_Pattern([0x81, 0x42, 0x24, 0x18, 0x18, 0x24, 0x42, 0x81]));
+//
+// Patterns repeat every 8 pixels and are anchored to screen
+// coordinates in the current rotation, so adjacent shapes tile
+// without seams and hatching keeps its direction.  Opaque
+// patterns clear the pixels not set in the pattern, transparent
+// patterns leave them untouched.
+//===============================================================
+const Util = require("util");
+const Adafruit_GFX_Library = require("@lynniemagoo/adafruit-gfx-library");
+const {extractOption} = Adafruit_GFX_Library.Utils;
+
+
+function _validateRows(rows) {
+    if (!rows || (rows.length !== 8) || !Array.from(rows).every(row => Number.isInteger(row) && (row >= 0) && (row <= 0xFF))) {
+        throw new Error(Util.format("Invalid pattern rows: %o. Expected 8 bytes, most significant bit at left.", rows));
+    }
+    return Uint8Array.from(rows);
+}
+
+
+class SH1106_Pattern {
+
+    /**************************************************************************/
+    /*!
+        @brief  Create an 8x8 pattern color.
+        @param  rows
+                8 bytes, top row first, most significant bit is the leftmost
+                pixel - the same layout as drawBitmap().
+        @param  options
+                transparent - leave unset pixels untouched instead of
+                clearing them (default false)
+    */
+    /**************************************************************************/
+    constructor(rows, options) {
+        const self = this;
+        self._rows = _validateRows(rows);
+        self._transparent = !!extractOption(Object.assign({}, options), "transparent", false);
+        // Column tables by rotation and panel size, see _columns().
+        self._columnCache = new Map();
+        Object.freeze(self);
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Get the pattern rows.
+        @return Array of 8 bytes, top row first.
+    */
+    /**************************************************************************/
+    getRows() {
+        return Array.from(this._rows);
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Check if the pattern is transparent.
+        @return true if unset pixels are left untouched.
+    */
+    /**************************************************************************/
+    isTransparent() {
+        return this._transparent;
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Check if the pattern lights a pixel.
+        @param  x  Screen column.
+        @param  y  Screen row.
+        @return true if lit.
+    */
+    /**************************************************************************/
+    isLit(x, y) {
+        return !!((this._rows[y & 7] << (x & 7)) & 0x80);
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Create a transparent copy of this pattern.
+        @return New SH1106_Pattern.
+    */
+    /**************************************************************************/
+    transparent() {
+        return new SH1106_Pattern(this._rows, {transparent:true});
+    }
+
+
+    /**************************************************************************/
+    // Protected method to get the pattern as buffer bytes for a display in
+    // the given rotation.  Entry n is the byte for unrotated buffer columns
+    // with (column & 7) === n, bit r is row r of the page.
+    /**************************************************************************/
+    _columns(rotation, WIDTH, HEIGHT) {
+        const self = this, key = rotation + ":" + (WIDTH & 7) + ":" + (HEIGHT & 7);
+        let columns = self._columnCache.get(key);
+        if (!columns) {
+            columns = new Uint8Array(8);
+            for (let x = 0; x < 8; x++) {
+                for (let y = 0; y < 8; y++) {
+                    // Screen coordinates of buffer pixel x, y - the inverse of the drawPixel() rotation.
+                    let sx = x, sy = y;
+                    switch (rotation) {
+                        case 1:
+                            (sx = y, sy = WIDTH - x - 1);
+                            break;
+                        case 2:
+                            (sx = WIDTH - x - 1, sy = HEIGHT - y - 1);
+                            break;
+                        case 3:
+                            (sx = HEIGHT - y - 1, sy = x);
+                            break;
+                    }
+                    columns[x] |= (self.isLit(sx, sy) ? 1 : 0) << y;
+                }
+            }
+            self._columnCache.set(key, columns);
+        }
+        return columns;
+    }
+
+
+    /**************************************************************************/
+    // Protected method to apply pattern bits from _columns() to the masked
+    // bits of a buffer byte.
+    /**************************************************************************/
+    _apply(byte, mask, bits) {
+        bits &= mask;
+        return this._transparent ? (byte | bits) : ((byte & ~mask) | bits);
+    }
+}
+
+
+const SH1106_Patterns = Object.freeze({
+    SH1106_PATTERN_25:                new SH1106_Pattern([0x88, 0x22, 0x88, 0x22, 0x88, 0x22, 0x88, 0x22]),
+    SH1106_PATTERN_50:                new SH1106_Pattern([0xAA, 0x55, 0xAA, 0x55, 0xAA, 0x55, 0xAA, 0x55]),
+    SH1106_PATTERN_75:                new SH1106_Pattern([0x77, 0xDD, 0x77, 0xDD, 0x77, 0xDD, 0x77, 0xDD]),
+    SH1106_PATTERN_HATCH_HORIZONTAL:  new SH1106_Pattern([0xFF, 0x00, 0x00, 0x00, 0xFF, 0x00, 0x00, 0x00]),
+    SH1106_PATTERN_HATCH_VERTICAL:    new SH1106_Pattern([0x88, 0x88, 0x88, 0x88, 0x88, 0x88, 0x88, 0x88]),
+    SH1106_PATTERN_HATCH_DIAGONAL:    new SH1106_Pattern([0x80, 0x40, 0x20, 0x10, 0x08, 0x04, 0x02, 0x01]),
+    SH1106_PATTERN_HATCH_CROSS:       new SH1106_Pattern([0xFF, 0x88, 0x88, 0x88, 0xFF, 0x88, 0x88, 0x88])
+});
+
+module.exports = {SH1106_Pattern, SH1106_Patterns};
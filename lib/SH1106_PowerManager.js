@@ -0,0 +1,223 @@
+'use strict';
+//===============================================================
+// No Adafruit equivalent
+//
+// Idle power management for an Adafruit_SH1106 display.  After
+// idleTimeout milliseconds without display() the panel is dimmed,
+// after sleepTimeout it is turned off.  The next display() or an
+// explicit wake() turns it back on:
+//
+//   const power = new SH1106_PowerManager(display, {idleTimeout:30000, sleepTimeout:60000});
+//   power.on("stateChange", (state, oldState) => console.log(oldState, "->", state));
+//
+// Events: "dim", "sleep", "wake" and "stateChange" (state, oldState).
+//===============================================================
+const EventEmitter = require("events");
+const Util = require("util");
+const Adafruit_GFX_Library = require("@lynniemagoo/adafruit-gfx-library");
+const {extractOption} = Adafruit_GFX_Library.Utils;
+
+const SH1106_POWER_ACTIVE = "active";
+const SH1106_POWER_DIMMED = "dimmed";
+const SH1106_POWER_SLEEPING = "sleeping";
+
+const SH1106_DEFAULT_IDLE_TIMEOUT_MS = 30000;
+const SH1106_DEFAULT_SLEEP_TIMEOUT_MS = 60000;
+
+
+function _validateTimeout(name, value) {
+    if ((null !== value) && (!(value > 0) || !Number.isFinite(value))) {
+        throw new Error(Util.format("Invalid %s: %o. Expected a positive number of milliseconds or null.", name, value));
+    }
+    return value;
+}
+
+
+class SH1106_PowerManager extends EventEmitter {
+
+    /**************************************************************************/
+    /*!
+        @brief  Attach a power manager to a display and start the idle timers.
+        @param  display  Adafruit_SH1106 instance, already started.
+        @param  options
+                idleTimeout - milliseconds without display() before dimming,
+                null to skip dimming (default 30000)
+                sleepTimeout - milliseconds without display() before turning
+                the panel off, null to never sleep (default 60000)
+    */
+    /**************************************************************************/
+    constructor(display, options) {
+        super();
+        const self = this;
+        options = Object.assign({}, options);
+        if (display._powerManager) {
+            throw new Error("Display already has a power manager.");
+        }
+        self._idleTimeout = _validateTimeout("idleTimeout", extractOption(options, "idleTimeout", SH1106_DEFAULT_IDLE_TIMEOUT_MS));
+        self._sleepTimeout = _validateTimeout("sleepTimeout", extractOption(options, "sleepTimeout", SH1106_DEFAULT_SLEEP_TIMEOUT_MS));
+        self._display = display;
+        self._state = SH1106_POWER_ACTIVE;
+        // Only undo the dimming done here - the application may have dimmed the display itself.
+        self._dimmedHere = false;
+        self._idleTimer = null;
+        self._sleepTimer = null;
+        display._powerManager = self;
+        self._restartTimers();
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Get the power state.
+        @return "active", "dimmed" or "sleeping".
+    */
+    /**************************************************************************/
+    getState() {
+        return this._state;
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Restart the idle timers without sending anything, for example
+                on user input.  Wakes the display if it is dimmed or sleeping.
+        @return this
+    */
+    /**************************************************************************/
+    activity() {
+        const self = this;
+        if (self._state !== SH1106_POWER_ACTIVE) {
+            return self.wake();
+        }
+        return self._restartTimers();
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Turn the display back on, restore its contrast and re-send the
+                buffer so the panel shows the current RAM contents.
+        @return this
+    */
+    /**************************************************************************/
+    wake() {
+        const self = this;
+        if (self._state !== SH1106_POWER_ACTIVE) {
+            self._wake();
+            self._display.display();
+        }
+        return self._restartTimers();
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Dim and turn off the display now.
+        @return this
+    */
+    /**************************************************************************/
+    sleep() {
+        const self = this;
+        self._clearTimers();
+        if (self._state === SH1106_POWER_ACTIVE) {
+            self._dim();
+        }
+        if (self._state === SH1106_POWER_DIMMED) {
+            self._display.enableDisplay(false);
+            self._setState(SH1106_POWER_SLEEPING, "sleep");
+        }
+        return self;
+    }
+
+
+    /**************************************************************************/
+    /*!
+        @brief  Stop the idle timers and detach from the display.  The display
+                is left in its current state.
+        @return this
+    */
+    /**************************************************************************/
+    stop() {
+        const self = this;
+        self._clearTimers();
+        if (self._display._powerManager === self) {
+            self._display._powerManager = null;
+        }
+        return self;
+    }
+
+
+    /**************************************************************************/
+    // Protected method called by display() before anything is sent.
+    /**************************************************************************/
+    _onDisplay() {
+        const self = this;
+        if (self._state !== SH1106_POWER_ACTIVE) {
+            self._wake();
+        }
+        return self._restartTimers();
+    }
+
+
+    _wake() {
+        const self = this, display = self._display;
+        display.enableDisplay(true);
+        if (self._dimmedHere) {
+            display.dim(false);
+            self._dimmedHere = false;
+        }
+        // Send the whole buffer with the next display().
+        display._setMaxDirtyWindow();
+        display.invalidateShadowRam();
+        self._setState(SH1106_POWER_ACTIVE, "wake");
+        return self;
+    }
+
+
+    _dim() {
+        const self = this, display = self._display;
+        if (!display._dimmed) {
+            display.dim(true);
+            self._dimmedHere = true;
+        }
+        self._setState(SH1106_POWER_DIMMED, "dim");
+        return self;
+    }
+
+
+    _setState(state, event) {
+        const self = this, oldState = self._state;
+        if (state !== oldState) {
+            self._state = state;
+            self.emit(event);
+            self.emit("stateChange", state, oldState);
+        }
+        return self;
+    }
+
+
+    _clearTimers() {
+        const self = this;
+        clearTimeout(self._idleTimer);
+        clearTimeout(self._sleepTimer);
+        self._idleTimer = self._sleepTimer = null;
+        return self;
+    }
+
+
+    _restartTimers() {
+        const self = this;
+        self._clearTimers();
+        if (null !== self._idleTimeout) {
+            self._idleTimer = setTimeout(_ => (self._state === SH1106_POWER_ACTIVE) && self._dim(), self._idleTimeout);
+        }
+        if (null !== self._sleepTimeout) {
+            self._sleepTimer = setTimeout(_ => self.sleep(), self._sleepTimeout);
+        }
+        return self;
+    }
+}
+
+const SH1106_PowerStates = Object.freeze({SH1106_POWER_ACTIVE, SH1106_POWER_DIMMED, SH1106_POWER_SLEEPING});
+
+module.exports = {SH1106_PowerManager, SH1106_PowerStates};
@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+'use strict';
+//===============================================================
+// No Adafruit equivalent
+//
+// Convert a PNG, PBM or PGM image into a splash module usable with
+// the 'splash' option or as lib/splash1.js / lib/splash2.js.
+//
+//   node make_splash.js <imagefile> <id> [options] > <id>.js
+//
+// Options:
+//   --threshold <0-255>  Gray level at which pixels are lit (default 1,
+//                        i.e. any non-black pixel).
+//   --dither <mode>      threshold, floyd-steinberg, atkinson or bayer.
+//   --width <pixels>     Scale to width (keeps aspect ratio unless
+//                        --height is also given).
+//   --height <pixels>    Scale to height.
+//   --invert             Light dark pixels instead.
+//===============================================================
+const fs = require("fs");
+const path = require("path");
+const {imageTo1Bit} = require(path.join(__dirname, "..", "lib", "SH1106_Image.js"));
+
+const USAGE = "Usage: " + path.basename(process.argv[1]) + " <imagefile> <id> [--threshold N] [--dither mode] [--width N] [--height N] [--invert]\n";
+
+
+function parseArgs(argv) {
+    const args = {positional:[], options:{threshold:1}};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case "--threshold":
+            case "--width":
+            case "--height":
+                args.options[arg.substr(2)] = parseInt(argv[++i], 10);
+                break;
+            case "--dither":
+                args.options.dither = argv[++i];
+                break;
+            case "--invert":
+                args.options.invert = true;
+                break;
+            default:
+                args.positional.push(arg);
+                break;
+        }
+    }
+    return args;
+}
+
+
+// Same output format as the original make_splash_js.py.
+function formatSplashModule(id, bitmap) {
+    const byteWidth = (bitmap.width + 7) >> 3, lines = [];
+    lines.push("");
+    lines.push("const " + id + "_width = " + bitmap.width + ";");
+    lines.push("const " + id + "_height = " + bitmap.height + ";");
+    lines.push("");
+    lines.push("const " + id + "_data = [");
+    for (let y = 0; y < bitmap.height; y++) {
+        const row = Array.from(bitmap.data.subarray(y * byteWidth, (y + 1) * byteWidth));
+        lines.push("  " + row.map(b => "0b" + ("0000000" + b.toString(2)).substr(-8) + ",").join(""));
+    }
+    lines.push("];");
+    return lines.join("\n") + "\nmodule.exports={" + id + "_width, " + id + "_height, " + id + "_data};";
+}
+
+
+function main(argv) {
+    const {positional, options} = parseArgs(argv);
+    if (positional.length < 2) {
+        process.stderr.write(USAGE);
+        return 1;
+    }
+    const [fn, id] = positional;
+    if (!/^[A-Za-z_$][A-Za-z0-9_$]*$/.test(id)) {
+        process.stderr.write("Invalid id: '" + id + "' is not a valid JavaScript identifier.\n");
+        return 1;
+    }
+    const bitmap = imageTo1Bit(fs.readFileSync(fn), options);
+    process.stdout.write(formatSplashModule(id, bitmap));
+    return 0;
+}
+
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {formatSplashModule};
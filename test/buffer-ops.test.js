@@ -0,0 +1,66 @@
+'use strict';
+const {describe, it} = require("node:test");
+const assert = require("node:assert");
+
+const {Adafruit_SH1106_Colors} = require("../index");
+const {createDisplay, countRaw, logicalPixel, scribble, snapshot} = require("./helpers");
+const {SH1106_WHITE} = Adafruit_SH1106_Colors;
+
+const at = (pixels, x, y) => ((y >= 0) && (y < pixels.length) && (x >= 0) && (x < pixels[0].length)) ? pixels[y][x] : 0;
+
+
+describe("buffer operations", () => {
+    it("copyRect() copies overlapping rectangles at any rotation", async () => {
+        const {display} = await createDisplay();
+        for (const rotation of [0, 1, 2, 3]) {
+            for (const [sx, sy, w, h, dx, dy] of [[0, 0, 20, 12, 5, 3], [10, 10, 30, 20, 7, 13], [-5, 60, 16, 10, 40, -2], [3, 3, 9, 9, 3, 3]]) {
+                display.setRotation(rotation);
+                scribble(display, rotation * 10 + sx + 1);
+                const before = snapshot(display);
+                display.copyRect(sx, sy, w, h, dx, dy);
+                const after = snapshot(display);
+                after.forEach((row, y) => row.forEach((pixel, x) => {
+                    const inside = (x >= dx) && (x < dx + w) && (y >= dy) && (y < dy + h),
+                          expected = inside ? at(before, x - dx + sx, y - dy + sy) : before[y][x];
+                    assert.strictEqual(pixel, expected, "rotation " + rotation + " at " + x + "," + y);
+                }));
+            }
+        }
+    });
+
+    it("scrollBuffer() moves content and fills the uncovered area", async () => {
+        const {display} = await createDisplay();
+        for (const rotation of [0, 3]) {
+            for (const [dx, dy] of [[0, -8], [3, 5], [-7, 0], [0, 200]]) {
+                display.setRotation(rotation);
+                scribble(display, 42);
+                const before = snapshot(display);
+                display.scrollBuffer(dx, dy, SH1106_WHITE);
+                const after = snapshot(display), w = display.width(), h = display.height();
+                after.forEach((row, y) => row.forEach((pixel, x) => {
+                    const sx = x - dx, sy = y - dy,
+                          expected = ((sx >= 0) && (sx < w) && (sy >= 0) && (sy < h)) ? before[sy][sx] : 1;
+                    assert.strictEqual(pixel, expected, dx + "," + dy + " at " + x + "," + y);
+                }));
+            }
+        }
+    });
+
+    it("invertRect() inverts and marks only the rectangle dirty", async () => {
+        const {display} = await createDisplay();
+        display.fillRect(0, 0, 4, 4, SH1106_WHITE)._resetDirtyWindow();
+        display.invertRect(2, 2, 4, 4);
+        assert.strictEqual(countRaw(display), 16 - 4 + 12);
+        assert.strictEqual(logicalPixel(display, 2, 2), 0);
+        assert.strictEqual(logicalPixel(display, 5, 5), 1);
+        assert.deepStrictEqual(display.getDirtySpans(), [{page:0, x1:2, x2:5}]);
+    });
+
+    it("copyRect() marks only the destination dirty", async () => {
+        const {display} = await createDisplay();
+        display.fillRect(0, 0, 8, 8, SH1106_WHITE)._resetDirtyWindow();
+        display.copyRect(0, 0, 8, 8, 100, 20);
+        assert.deepStrictEqual(display.getDirtySpans(), [{page:2, x1:100, x2:107}, {page:3, x1:100, x2:107}]);
+        assert.strictEqual(countRaw(display), 128);
+    });
+});
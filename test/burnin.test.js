@@ -0,0 +1,104 @@
+'use strict';
+const {describe, it} = require("node:test");
+const assert = require("node:assert");
+
+const {Adafruit_SH1106_Colors} = require("../index");
+const {createDisplay, rawPixel} = require("./helpers");
+const {SH1106_WHITE} = Adafruit_SH1106_Colors;
+
+
+describe("burn-in guard", () => {
+    it("shifts vertically with the display offset register", async () => {
+        const {display, emulator} = await createDisplay({displayOffset:4});
+        display.drawPixel(0, 0, SH1106_WHITE);
+        await display.display();
+        emulator.clearLog();
+        await display.setBurnInShift(0, 1);
+        assert.strictEqual(emulator.displayOffset, 3);
+        assert.ok(emulator.log.every(e => e.type === "command"));
+        await display.setBurnInShift(0, -1);
+        assert.strictEqual(emulator.displayOffset, 5);
+    });
+
+    it("shifts horizontally within the spare RAM columns", async () => {
+        const {display, emulator} = await createDisplay();
+        display.drawPixel(0, 0, SH1106_WHITE);
+        await display.display();
+        emulator.clearLog();
+        await display.setBurnInShift(1, 0);
+        const data = emulator.log.filter(e => e.type === "data");
+        assert.deepStrictEqual(data.map(e => [e.column, e.bytes.length]), new Array(8).fill([0, 132]));
+        assert.strictEqual(emulator.getRamPixel(3, 0), 1);
+        assert.strictEqual(emulator.getRamPixel(2, 0), 0);
+        assert.deepStrictEqual(display.getDirtySpans(), []);
+
+        // Drawing coordinates are unchanged, output follows the shift.
+        display.drawPixel(10, 0, SH1106_WHITE);
+        assert.strictEqual(rawPixel(display, 10, 0), 1);
+        await display.display();
+        assert.strictEqual(emulator.getRamPixel(13, 0), 1);
+
+        // Limited to the 2 spare columns on the left.
+        emulator.clearLog();
+        await display.setBurnInShift(-3, 0);
+        assert.strictEqual(emulator.getRamPixel(0, 0), 1);
+        await display.setBurnInShift(-4, 0);
+        assert.deepStrictEqual(emulator.log.filter(e => e.type === "data").length, 8);
+        assert.deepStrictEqual(display.getBurnInShift(), {x:-2, y:0});
+    });
+
+    it("does not shift horizontally without spare RAM columns", async () => {
+        const {display, emulator} = await createDisplay({panel:"132x64-full-ram"});
+        await display.setBurnInShift(1, 0);
+        assert.deepStrictEqual(emulator.log, []);
+        assert.deepStrictEqual(display.getBurnInShift(), {x:0, y:0});
+    });
+
+    it("steps through the pattern on a timer", async t => {
+        const {display} = await createDisplay();
+        const shifts = [];
+        display.setBurnInShift = (x, y) => shifts.push([x, y]);
+        t.mock.timers.enable({apis:["setInterval"]});
+        display.startBurnInGuard({interval:5, amplitude:2, pattern:"horizontal"});
+        t.mock.timers.tick(4);
+        assert.deepStrictEqual(shifts, []);
+        t.mock.timers.tick(41);
+        display.stopBurnInGuard(false);
+        t.mock.timers.tick(50);
+        assert.deepStrictEqual(shifts, [[-2, 0], [-1, 0], [0, 0], [1, 0], [2, 0], [1, 0], [0, 0], [-1, 0], [-2, 0]]);
+    });
+
+    it("moves one pixel at a time in the box pattern", async t => {
+        const {display} = await createDisplay();
+        const shifts = [];
+        display.setBurnInShift = (x, y) => shifts.push([x, y]);
+        t.mock.timers.enable({apis:["setInterval"]});
+        display.startBurnInGuard({interval:2, pattern:"box"});
+        t.mock.timers.tick(80);
+        display.stopBurnInGuard(false);
+        assert.strictEqual(shifts.length, 40);
+        assert.deepStrictEqual(shifts.slice(0, 9), [[-1, -1], [0, -1], [1, -1], [1, 0], [0, 0], [-1, 0], [-1, 1], [0, 1], [1, 1]]);
+        for (let i = 1; i < shifts.length; i++) {
+            assert.strictEqual(Math.abs(shifts[i][0] - shifts[i - 1][0]) + Math.abs(shifts[i][1] - shifts[i - 1][1]), 1);
+        }
+    });
+
+    it("stopBurnInGuard() restores the position", async () => {
+        const {display, emulator} = await createDisplay();
+        display.startBurnInGuard({interval:1000, pattern:[[1, 1]]});
+        display.setBurnInShift(1, 1);
+        await display.stopBurnInGuard();
+        assert.strictEqual(display._burnInTimer, null);
+        assert.deepStrictEqual(display.getBurnInShift(), {x:0, y:0});
+        assert.strictEqual(emulator.displayOffset, 0);
+    });
+
+    it("validates options", async () => {
+        const {display} = await createDisplay();
+        assert.throws(() => display.startBurnInGuard({interval:0}), /Invalid interval/);
+        assert.throws(() => display.startBurnInGuard({amplitude:9}), /Invalid amplitude/);
+        assert.throws(() => display.startBurnInGuard({pattern:"spiral"}), /Invalid pattern/);
+        assert.throws(() => display.startBurnInGuard({pattern:[[2, 0]]}), /Invalid pattern/);
+        assert.strictEqual(display._burnInTimer, null);
+    });
+});
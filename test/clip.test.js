@@ -0,0 +1,83 @@
+'use strict';
+const {describe, it} = require("node:test");
+const assert = require("node:assert");
+
+const {Adafruit_SH1106_Colors} = require("../index");
+const {createDisplay, countRaw, logicalPixel} = require("./helpers");
+const {SH1106_WHITE} = Adafruit_SH1106_Colors;
+
+
+describe("clipping", () => {
+    it("keeps every primitive inside the clip rectangle", async () => {
+        const {display} = await createDisplay();
+        display.setClipRect(10, 10, 20, 8);
+        display.fillCircle(20, 14, 30, SH1106_WHITE);
+        assert.strictEqual(countRaw(display), 20 * 8);
+        assert.strictEqual(logicalPixel(display, 10, 10), 1);
+        assert.strictEqual(logicalPixel(display, 9, 10), 0);
+        assert.strictEqual(logicalPixel(display, 29, 17), 1);
+        assert.strictEqual(logicalPixel(display, 30, 17), 0);
+
+        display.clearDisplay();
+        display.setCursor(0, 10).setTextColor(SH1106_WHITE).print("WWWWWWWW");
+        display.drawPixel(0, 0, SH1106_WHITE);
+        display.draw1BitBitmap(0, 0, new Uint8Array(8 * 64).fill(0xFF), 64, 64, SH1106_WHITE);
+        for (let y = 0; y < 64; y++) {
+            for (let x = 0; x < 128; x++) {
+                if (logicalPixel(display, x, y)) {
+                    assert.ok((x >= 10) && (x < 30) && (y >= 10) && (y < 18), x + "," + y);
+                }
+            }
+        }
+    });
+
+    it("only marks the clipped area dirty", async () => {
+        const {display} = await createDisplay();
+        display.setClipRect(16, 8, 8, 8).fillScreen(SH1106_WHITE);
+        assert.deepStrictEqual(display.getDirtySpans(), [{page:1, x1:16, x2:23}]);
+        assert.strictEqual(countRaw(display), 64);
+    });
+
+    it("applies in logical coordinates", async () => {
+        const {display} = await createDisplay();
+        for (const rotation of [1, 2, 3]) {
+            display.setClipRect().clearDisplay();
+            display.setRotation(rotation);
+            display.setClipRect(5, 7, 3, 2).fillScreen(SH1106_WHITE);
+            assert.strictEqual(countRaw(display), 6, "rotation " + rotation);
+            assert.strictEqual(logicalPixel(display, 5, 7), 1);
+            assert.strictEqual(logicalPixel(display, 7, 8), 1);
+            assert.strictEqual(logicalPixel(display, 8, 8), 0);
+        }
+    });
+
+    it("nests with pushClip() and popClip()", async () => {
+        const {display} = await createDisplay();
+        display.pushClip(0, 0, 64, 32);
+        display.pushClip(60, 30, 10, 10);
+        assert.deepStrictEqual(display.getClipRect(), {x:60, y:30, w:4, h:2});
+        display.fillScreen(SH1106_WHITE);
+        assert.strictEqual(countRaw(display), 8);
+        display.popClip();
+        assert.deepStrictEqual(display.getClipRect(), {x:0, y:0, w:64, h:32});
+        display.pushClip(100, 0, 10, 10);
+        assert.deepStrictEqual(display.getClipRect(), {x:100, y:0, w:0, h:10});
+        display.fillScreen(SH1106_WHITE);
+        assert.strictEqual(countRaw(display), 8);
+        display.popClip().popClip();
+        assert.strictEqual(display.getClipRect(), null);
+        display.fillScreen(SH1106_WHITE);
+        assert.strictEqual(countRaw(display), 128 * 64);
+        assert.throws(() => display.popClip(), /without matching pushClip/);
+    });
+
+    it("pushClip() without arguments saves the current clip", async () => {
+        const {display} = await createDisplay();
+        display.setClipRect(10, 10, 20, 20).pushClip();
+        assert.deepStrictEqual(display.getClipRect(), {x:10, y:10, w:20, h:20});
+        display.setClipRect(0, 0, 5, 5).popClip();
+        assert.deepStrictEqual(display.getClipRect(), {x:10, y:10, w:20, h:20});
+        assert.throws(() => display.pushClip(0, 0, NaN, 5), /Invalid w/);
+        assert.throws(() => display.popClip(), /without matching pushClip/);
+    });
+});
@@ -0,0 +1,61 @@
+'use strict';
+const {describe, it} = require("node:test");
+const assert = require("node:assert");
+
+const {createDisplay, sentContrast} = require("./helpers");
+
+
+describe("contrast", () => {
+    it("sends the contrast option in begin()", async () => {
+        const {emulator} = await createDisplay({contrast:0x20});
+        assert.strictEqual(emulator.contrast, 0x20);
+    });
+
+    it("rejects invalid contrast", async () => {
+        const {display} = await createDisplay();
+        assert.throws(() => display.setContrast(256), /Invalid contrast/);
+        assert.throws(() => display.setContrast(1.5), /Invalid contrast/);
+        assert.throws(() => display.fadeTo(-1, 100), /Invalid contrast/);
+        assert.throws(() => display.fadeTo(0x10, NaN), /Invalid durationMs/);
+        assert.throws(() => display.fadeTo(0x10, -5), /Invalid durationMs/);
+    });
+
+    it("setContrast() is chainable and immediate", async () => {
+        const {display, emulator} = await createDisplay();
+        await display.setContrast(0x10).setContrast(0x30);
+        assert.deepStrictEqual(sentContrast(emulator), [0x10, 0x30]);
+        assert.strictEqual(display.getContrast(), 0x30);
+    });
+
+    it("dim() drops to zero and restores the last contrast", async () => {
+        const {display, emulator} = await createDisplay({contrast:0x40});
+        await display.dim(true).setContrast(0x50);
+        assert.strictEqual(emulator.contrast, 0);
+        await display.dim(false);
+        assert.strictEqual(emulator.contrast, 0x50);
+    });
+
+    it("fadeTo() steps towards the target", async () => {
+        const {display, emulator} = await createDisplay({contrast:0x00});
+        const start = Date.now();
+        await display.fadeTo(0x80, 100);
+        const sent = sentContrast(emulator);
+        assert.ok(Date.now() - start >= 90);
+        assert.strictEqual(sent.length, 5);
+        assert.deepStrictEqual(sent, sent.slice().sort((a, b) => a - b));
+        assert.strictEqual(emulator.contrast, 0x80);
+        assert.strictEqual(display.getContrast(), 0x80);
+    });
+
+    it("fadeTo() with no duration jumps straight to the target", async () => {
+        const {display, emulator} = await createDisplay({contrast:0x80});
+        await display.fadeTo(0x10);
+        assert.deepStrictEqual(sentContrast(emulator), [0x10]);
+    });
+
+    it("fadeTo() stays in order with other chained work", async () => {
+        const {display, emulator} = await createDisplay({contrast:0x80});
+        await display.fadeTo(0x7C, 40).setContrast(0x01);
+        assert.deepStrictEqual(sentContrast(emulator), [0x7E, 0x7C, 0x01]);
+    });
+});
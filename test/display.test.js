@@ -0,0 +1,124 @@
+'use strict';
+const {describe, it} = require("node:test");
+const assert = require("node:assert");
+
+const {Adafruit_SH1106_Colors} = require("../index");
+const {createDisplay} = require("./helpers");
+const {SH1106_WHITE} = Adafruit_SH1106_Colors;
+
+
+describe("display()", () => {
+    it("sends nothing when the buffer is clean", async () => {
+        const {display} = await createDisplay();
+        await display.display();
+        assert.deepStrictEqual(display.getEmulator().log, []);
+    });
+
+    it("sends page and column address before the dirty span of each page", async () => {
+        const {display} = await createDisplay();
+        display.drawFastVLine(5, 6, 12, SH1106_WHITE).drawFastHLine(5, 6, 4, SH1106_WHITE);
+        await display.display();
+        const log = display.getEmulator().log;
+        // Page 0 columns 5 to 8, pages 1 and 2 column 5 only, plus the column offset of 2.
+        assert.deepStrictEqual(log.filter(e => e.type === "command").map(e => e.bytes[0]),
+                               [0xB0, 0x07, 0x10,
+                                0xB1, 0x07, 0x10,
+                                0xB2, 0x07, 0x10]);
+        assert.deepStrictEqual(log.filter(e => e.type === "data").map(e => [e.page, e.column, e.bytes]),
+                               [[0, 7, [0xC0, 0x40, 0x40, 0x40]],
+                                [1, 7, [0xFF]],
+                                [2, 7, [0x03]]]);
+    });
+
+    it("sends only the dirty pages and spans", async () => {
+        const {display} = await createDisplay();
+        display.drawPixel(0, 0, SH1106_WHITE).drawPixel(127, 63, SH1106_WHITE).drawPixel(120, 60, SH1106_WHITE);
+        assert.deepStrictEqual(display.getDirtySpans(), [{page:0, x1:0, x2:0}, {page:7, x1:120, x2:127}]);
+        await display.display();
+        const data = display.getEmulator().log.filter(e => e.type === "data");
+        assert.deepStrictEqual(data.map(e => [e.page, e.column, e.bytes.length]), [[0, 2, 1], [7, 122, 8]]);
+        assert.deepStrictEqual(display.getDirtySpans(), []);
+    });
+
+    it("marks every page dirty after fillScreen", async () => {
+        const {display} = await createDisplay();
+        display.fillScreen(SH1106_WHITE);
+        assert.strictEqual(display.getDirtySpans().length, 8);
+        assert.ok(display.getDirtySpans().every(span => (span.x1 === 0) && (span.x2 === 127)));
+    });
+
+    it("tracks spans of rotated pixels", async () => {
+        const {display} = await createDisplay();
+        display.setRotation(1);
+        display.drawPixel(0, 0, SH1106_WHITE);
+        assert.deepStrictEqual(display.getDirtySpans(), [{page:0, x1:127, x2:127}]);
+    });
+
+    it("honors colOffset and pageOffset", async () => {
+        const {display} = await createDisplay({height:32, colOffset:0x13, pageOffset:1});
+        display.drawPixel(0, 0, SH1106_WHITE);
+        await display.display();
+        const log = display.getEmulator().log;
+        assert.deepStrictEqual(log.filter(e => e.type === "command").map(e => e.bytes[0]), [0xB1, 0x03, 0x11]);
+    });
+
+    it("puts the buffer in the right RAM columns", async () => {
+        const {display} = await createDisplay();
+        display.fillRect(0, 0, 128, 64, SH1106_WHITE);
+        await display.display();
+        const emulator = display.getEmulator();
+        for (let page = 0; page < 8; page++) {
+            const ram = emulator.getRamPage(page);
+            assert.strictEqual(ram[0], 0x00);
+            assert.strictEqual(ram[1], 0x00);
+            assert.ok(ram.subarray(2, 130).every(b => b === 0xFF));
+            assert.strictEqual(ram[130], 0x00);
+            assert.strictEqual(ram[131], 0x00);
+        }
+    });
+
+    it("resets the dirty window", async () => {
+        const {display} = await createDisplay();
+        display.drawPixel(1, 1, SH1106_WHITE);
+        await display.display();
+        assert.strictEqual(display.window_x2, -1);
+    });
+});
+
+
+describe("begin()", () => {
+    it("configures the controller", async () => {
+        const {display} = await createDisplay();
+        const emulator = display.getEmulator();
+        assert.strictEqual(emulator.displayOn, true);
+        assert.strictEqual(emulator.multiplex, 63);
+        assert.strictEqual(emulator.segRemap, true);
+        assert.strictEqual(emulator.comScanDec, true);
+        assert.strictEqual(emulator.comPins, 0x12);
+        assert.strictEqual(emulator.dcdcOn, true);
+        assert.strictEqual(emulator.inverted, false);
+    });
+
+    it("draws the splash screen centered on the glass", async () => {
+        const {display} = await createDisplay({noSplash:false});
+        const emulator = display.getEmulator();
+        let minX = 132, maxX = -1;
+        for (let y = 0; y < 64; y++) {
+            for (let x = 0; x < 132; x++) {
+                if (emulator.getScreenPixel(x, y)) {
+                    minX = Math.min(minX, x);
+                    maxX = Math.max(maxX, x);
+                }
+            }
+        }
+        assert.ok(maxX > minX);
+        assert.ok(minX >= 2 && maxX <= 129);
+    });
+
+    it("uses the 128x32 multiplex and COM pins", async () => {
+        const {display} = await createDisplay({height:32});
+        const emulator = display.getEmulator();
+        assert.strictEqual(emulator.multiplex, 31);
+        assert.strictEqual(emulator.comPins, 0x02);
+    });
+});
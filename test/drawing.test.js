@@ -0,0 +1,152 @@
+'use strict';
+const {describe, it} = require("node:test");
+const assert = require("node:assert");
+
+const {Adafruit_SH1106_Colors} = require("../index");
+const {createDisplay, rawPixel, logicalPixel, countRaw} = require("./helpers");
+const {SH1106_BLACK, SH1106_WHITE, SH1106_INVERSE} = Adafruit_SH1106_Colors;
+
+
+describe("drawFastHLine/drawFastVLine rotation", () => {
+    for (const rotation of [0, 1, 2, 3]) {
+        it(`draws horizontal lines in logical coordinates for rotation ${rotation}`, async () => {
+            const {display} = await createDisplay({rotation});
+            display.drawFastHLine(3, 5, 10, SH1106_WHITE);
+            for (let x = 0; x < display.width(); x++) {
+                assert.strictEqual(logicalPixel(display, x, 5), (x >= 3 && x < 13) ? 1 : 0, `x:${x}`);
+            }
+            assert.strictEqual(countRaw(display), 10);
+        });
+
+        it(`draws vertical lines in logical coordinates for rotation ${rotation}`, async () => {
+            const {display} = await createDisplay({rotation});
+            display.drawFastVLine(7, 2, 20, SH1106_WHITE);
+            for (let y = 0; y < display.height(); y++) {
+                assert.strictEqual(logicalPixel(display, 7, y), (y >= 2 && y < 22) ? 1 : 0, `y:${y}`);
+            }
+            assert.strictEqual(countRaw(display), 20);
+        });
+
+        it(`matches drawPixel for rotation ${rotation}`, async () => {
+            const {display:lines} = await createDisplay({rotation}), {display:pixels} = await createDisplay({rotation});
+            lines.drawFastHLine(1, 9, 17, SH1106_WHITE).drawFastVLine(30, 3, 13, SH1106_WHITE);
+            for (let i = 0; i < 17; i++) pixels.drawPixel(1 + i, 9, SH1106_WHITE);
+            for (let i = 0; i < 13; i++) pixels.drawPixel(30, 3 + i, SH1106_WHITE);
+            assert.deepStrictEqual(lines._buffer, pixels._buffer);
+        });
+    }
+});
+
+
+describe("clipping", () => {
+    it("clips horizontal lines at the left and right edges", async () => {
+        const {display} = await createDisplay();
+        display._drawFastHLineInternal(-5, 0, 10, SH1106_WHITE);
+        display._drawFastHLineInternal(120, 1, 20, SH1106_WHITE);
+        assert.strictEqual(countRaw(display), 5 + 8);
+        assert.strictEqual(rawPixel(display, 4, 0), 1);
+        assert.strictEqual(rawPixel(display, 5, 0), 0);
+        assert.strictEqual(rawPixel(display, 127, 1), 1);
+    });
+
+    it("ignores horizontal lines outside the vertical range", async () => {
+        const {display} = await createDisplay();
+        display._drawFastHLineInternal(0, -1, 10, SH1106_WHITE);
+        display._drawFastHLineInternal(0, 64, 10, SH1106_WHITE);
+        display._drawFastHLineInternal(-20, 3, 10, SH1106_WHITE);
+        assert.strictEqual(countRaw(display), 0);
+        assert.strictEqual(display.window_x2, -1);
+    });
+
+    it("clips vertical lines at the top and bottom edges", async () => {
+        const {display} = await createDisplay();
+        display._drawFastVLineInternal(0, -3, 6, SH1106_WHITE);
+        display._drawFastVLineInternal(1, 60, 10, SH1106_WHITE);
+        assert.strictEqual(countRaw(display), 3 + 4);
+        assert.strictEqual(rawPixel(display, 0, 2), 1);
+        assert.strictEqual(rawPixel(display, 0, 3), 0);
+        assert.strictEqual(rawPixel(display, 1, 63), 1);
+    });
+
+    it("ignores vertical lines outside the horizontal range", async () => {
+        const {display} = await createDisplay();
+        display._drawFastVLineInternal(-1, 0, 10, SH1106_WHITE);
+        display._drawFastVLineInternal(128, 0, 10, SH1106_WHITE);
+        display._drawFastVLineInternal(5, 70, 10, SH1106_WHITE);
+        assert.strictEqual(countRaw(display), 0);
+        assert.strictEqual(display.window_x2, -1);
+    });
+
+    it("clips lines drawn off-screen in rotated coordinates", async () => {
+        const {display} = await createDisplay({rotation:1});
+        display.drawFastHLine(-10, 0, 20, SH1106_WHITE);
+        display.drawFastVLine(0, 120, 20, SH1106_WHITE);
+        assert.strictEqual(countRaw(display), 10 + 8);
+    });
+});
+
+
+describe("INVERSE color", () => {
+    for (const rotation of [0, 1, 2, 3]) {
+        it(`toggles pixels drawn with drawFastHLine for rotation ${rotation}`, async () => {
+            const {display} = await createDisplay({rotation});
+            display.drawFastHLine(0, 4, 8, SH1106_WHITE);
+            display.drawFastHLine(4, 4, 8, SH1106_INVERSE);
+            for (let x = 0; x < 16; x++) {
+                assert.strictEqual(logicalPixel(display, x, 4), (x < 4 || (x >= 8 && x < 12)) ? 1 : 0, `x:${x}`);
+            }
+        });
+    }
+
+    it("toggles partial and whole bytes in vertical lines", async () => {
+        const {display} = await createDisplay();
+        display.drawFastVLine(0, 3, 30, SH1106_INVERSE);
+        for (let y = 0; y < 64; y++) {
+            assert.strictEqual(rawPixel(display, 0, y), (y >= 3 && y < 33) ? 1 : 0, `y:${y}`);
+        }
+        display.drawFastVLine(0, 0, 64, SH1106_INVERSE);
+        for (let y = 0; y < 64; y++) {
+            assert.strictEqual(rawPixel(display, 0, y), (y >= 3 && y < 33) ? 0 : 1, `y:${y}`);
+        }
+    });
+
+    it("clears pixels with BLACK", async () => {
+        const {display} = await createDisplay();
+        display.fillRect(0, 0, 16, 16, SH1106_WHITE);
+        display.drawFastVLine(2, 1, 14, SH1106_BLACK).drawFastHLine(0, 0, 16, SH1106_BLACK);
+        assert.strictEqual(countRaw(display), 16 * 16 - 14 - 16);
+    });
+});
+
+
+describe("dirty window", () => {
+    it("starts empty after display()", async () => {
+        const {display} = await createDisplay();
+        assert.deepStrictEqual([display.window_x1, display.window_y1, display.window_x2, display.window_y2],
+                               [128, 64, -1, -1]);
+    });
+
+    it("grows to cover every line drawn", async () => {
+        const {display} = await createDisplay();
+        display.drawFastHLine(10, 20, 5, SH1106_WHITE);
+        assert.deepStrictEqual([display.window_x1, display.window_y1, display.window_x2, display.window_y2],
+                               [10, 20, 14, 20]);
+        display.drawFastVLine(40, 2, 10, SH1106_WHITE);
+        assert.deepStrictEqual([display.window_x1, display.window_y1, display.window_x2, display.window_y2],
+                               [10, 2, 40, 20]);
+    });
+
+    it("tracks hardware coordinates when rotated", async () => {
+        const {display} = await createDisplay({rotation:2});
+        display.drawFastHLine(0, 0, 4, SH1106_WHITE);
+        assert.deepStrictEqual([display.window_x1, display.window_y1, display.window_x2, display.window_y2],
+                               [124, 63, 127, 63]);
+    });
+
+    it("covers the whole screen after clearDisplay()", async () => {
+        const {display} = await createDisplay();
+        display.clearDisplay();
+        assert.deepStrictEqual([display.window_x1, display.window_y1, display.window_x2, display.window_y2],
+                               [0, 0, 127, 63]);
+    });
+});
@@ -0,0 +1,77 @@
+'use strict';
+const {describe, it} = require("node:test");
+const assert = require("node:assert");
+
+const {SH1106_Emulator} = require("../index");
+
+
+describe("SH1106_Emulator", () => {
+    it("decodes column nibbles and page address", () => {
+        const emulator = new SH1106_Emulator();
+        emulator.command([0xB3, 0x0A, 0x17]);
+        assert.strictEqual(emulator.page, 3);
+        assert.strictEqual(emulator.column, 0x7A);
+    });
+
+    it("increments the column and stops at the end of the page", () => {
+        const emulator = new SH1106_Emulator();
+        emulator.command([0xB1, 0x00, 0x18]);
+        emulator.data([1, 2, 3, 4, 5]);
+        assert.strictEqual(emulator.page, 1);
+        assert.strictEqual(emulator.column, 132);
+        assert.deepStrictEqual(Array.from(emulator.getRamPage(1).subarray(128)), [1, 2, 3, 4]);
+        assert.deepStrictEqual(Array.from(emulator.getRamPage(2).subarray(0, 1)), [0]);
+    });
+
+    it("decodes double byte commands", () => {
+        const emulator = new SH1106_Emulator();
+        emulator.command([0x81, 0x42, 0xA8, 0x1F, 0xD3, 0x05, 0xAD, 0x8A, 0xDA, 0x02]);
+        assert.strictEqual(emulator.contrast, 0x42);
+        assert.strictEqual(emulator.multiplex, 0x1F);
+        assert.strictEqual(emulator.displayOffset, 5);
+        assert.strictEqual(emulator.dcdcOn, false);
+        assert.strictEqual(emulator.comPins, 0x02);
+    });
+
+    it("decodes single byte settings", () => {
+        const emulator = new SH1106_Emulator();
+        emulator.command([0x31, 0x48, 0xA1, 0xC8, 0xA7, 0xA5, 0xAF]);
+        assert.strictEqual(emulator.pumpVoltage, 1);
+        assert.strictEqual(emulator.startLine, 8);
+        assert.strictEqual(emulator.segRemap, true);
+        assert.strictEqual(emulator.comScanDec, true);
+        assert.strictEqual(emulator.inverted, true);
+        assert.strictEqual(emulator.allOn, true);
+        assert.strictEqual(emulator.displayOn, true);
+    });
+
+    it("rejects unknown commands", () => {
+        const emulator = new SH1106_Emulator();
+        assert.throws(() => emulator.command(0xFF), /0xFF/);
+    });
+
+    it("keeps RAM across reset", () => {
+        const emulator = new SH1106_Emulator();
+        emulator.command([0xB0, 0x00, 0x10, 0x81, 0x10]);
+        emulator.data([0xAA]);
+        emulator.reset();
+        assert.strictEqual(emulator.contrast, 0x80);
+        assert.strictEqual(emulator.getRamPage(0)[0], 0xAA);
+    });
+
+    it("maps glass pixels through remap, scan direction and start line", () => {
+        const emulator = new SH1106_Emulator();
+        emulator.command([0xB0, 0x02, 0x10]);
+        emulator.data([0x01]);
+        emulator.command([0xAF, 0xA1, 0xC8]);
+        assert.strictEqual(emulator.getScreenPixel(2, 0), 1);
+        emulator.command([0xA0]);
+        assert.strictEqual(emulator.getScreenPixel(129, 0), 1);
+        emulator.command([0xC0]);
+        assert.strictEqual(emulator.getScreenPixel(129, 63), 1);
+        emulator.command([0xA1, 0xC8, 0x41]);
+        assert.strictEqual(emulator.getScreenPixel(2, 63), 1);
+        emulator.command([0xAE]);
+        assert.strictEqual(emulator.getScreenPixel(2, 63), 0);
+    });
+});
@@ -0,0 +1,81 @@
+'use strict';
+const {describe, it} = require("node:test");
+const assert = require("node:assert");
+const zlib = require("zlib");
+
+const {createDisplay} = require("./helpers");
+const {crc32} = require("../lib/SH1106_Image.js");
+
+// Split a PNG file into its chunks.
+function pngChunks(png) {
+    const chunks = [];
+    for (let i = 8; i < png.length;) {
+        const length = png.readUInt32BE(i), type = png.toString("latin1", i + 4, i + 8);
+        const data = png.subarray(i + 8, i + 8 + length);
+        assert.strictEqual(png.readUInt32BE(i + 8 + length), crc32(png.subarray(i + 4, i + 8 + length)), type);
+        chunks.push({type, data});
+        i += 12 + length;
+    }
+    return chunks;
+}
+
+
+describe("framebuffer export", () => {
+    it("toRaw() exports unrotated pixels by default", async () => {
+        const {display} = await createDisplay({rotation:1});
+        display.drawPixel(0, 0, 1);
+        const raw = display.toRaw();
+        assert.strictEqual(raw.length, 128 * 64);
+        assert.deepStrictEqual(raw.reduce((a, v, i) => v ? a.concat(i) : a, []), [127]);
+        assert.ok(raw.every(v => v === 0 || v === 0xFF));
+    });
+
+    it("toRaw() exports in the current rotation", async () => {
+        for (const rotation of [0, 1, 2, 3]) {
+            const {display} = await createDisplay({rotation});
+            display.drawPixel(3, 1, 1);
+            const raw = display.toRaw({rotated:true});
+            assert.strictEqual(raw[1 * display.width() + 3], 0xFF, `rotation:${rotation}`);
+            assert.strictEqual(raw.filter(v => v).length, 1);
+        }
+    });
+
+    it("toRaw() packs rows for draw1BitBitmap()", async () => {
+        const {display} = await createDisplay({height:32});
+        display.fillRect(8, 0, 10, 3, 1).drawPixel(127, 31, 1);
+        const packed = display.toRaw({packed:true});
+        assert.strictEqual(packed.length, 16 * 32);
+        assert.deepStrictEqual(Array.from(packed.subarray(0, 3)), [0x00, 0xFF, 0xC0]);
+        assert.strictEqual(packed[16 * 31 + 15], 0x01);
+
+        const {display:copy} = await createDisplay({height:32});
+        copy.draw1BitBitmap(0, 0, packed, 128, 32, 1);
+        assert.deepStrictEqual(copy._buffer, display._buffer);
+    });
+
+    it("toPBM() writes a P4 image with lit pixels white", async () => {
+        const {display} = await createDisplay({height:32});
+        display.drawPixel(0, 0, 1);
+        const pbm = display.toPBM();
+        const header = "P4\n128 32\n";
+        assert.strictEqual(pbm.toString("latin1", 0, header.length), header);
+        assert.strictEqual(pbm.length, header.length + 16 * 32);
+        assert.strictEqual(pbm[header.length], 0x7F);
+        assert.strictEqual(pbm[header.length + 1], 0xFF);
+    });
+
+    it("toPNG() writes a 1-bit grayscale PNG", async () => {
+        const {display} = await createDisplay({rotation:1});
+        display.fillRect(0, 0, 9, 2, 1);
+        const png = display.toPNG({rotated:true});
+        assert.deepStrictEqual(Array.from(png.subarray(0, 8)), [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+        const chunks = pngChunks(png);
+        assert.deepStrictEqual(chunks.map(c => c.type), ["IHDR", "IDAT", "IEND"]);
+        const ihdr = chunks[0].data;
+        assert.deepStrictEqual([ihdr.readUInt32BE(0), ihdr.readUInt32BE(4), ihdr[8], ihdr[9]], [64, 128, 1, 0]);
+        const raw = zlib.inflateSync(chunks[1].data);
+        assert.strictEqual(raw.length, (8 + 1) * 128);
+        assert.deepStrictEqual(Array.from(raw.subarray(0, 3)), [0, 0xFF, 0x80]);
+        assert.deepStrictEqual(Array.from(raw.subarray(18, 21)), [0, 0x00, 0x00]);
+    });
+});
@@ -0,0 +1,215 @@
+'use strict';
+const {describe, it} = require("node:test");
+const assert = require("node:assert");
+
+const {Adafruit_SH1106_Colors, SH1106_PowerManager} = require("../index");
+const {Adafruit_SH1106_Emulated, createDisplay, rawPixel, sentContrast} = require("./helpers");
+const {SH1106_BLACK, SH1106_WHITE, SH1106_INVERSE} = Adafruit_SH1106_Colors;
+
+// Read a raw pixel from bit-plane k.
+function planePixel(display, k, x, y) {
+    return (display._grayPlanes[k][x + (y >>> 3) * display.WIDTH] >>> (y & 7)) & 1;
+}
+
+// Start grayscale with the timers and clock mocked so the measurement is deterministic.
+async function startMocked(t, display, options) {
+    t.mock.timers.enable({apis:["setInterval", "Date"]});
+    await display.startGrayscale(options);
+}
+
+// Advance the mocked timers one subframe at a time.
+async function tickSubframes(t, display, count, ms) {
+    for (let i = 0; i < count; i++) {
+        t.mock.timers.tick(ms);
+        await display;
+    }
+}
+
+
+describe("grayscale", () => {
+    it("draws the bits of each gray level into the planes", async () => {
+        const {display} = await createDisplay({grayscaleBits:2});
+        assert.strictEqual(display.getGrayLevels(), 4);
+        assert.strictEqual(display.grayColor(0), SH1106_BLACK);
+        assert.strictEqual(display.grayColor(3), SH1106_WHITE);
+        [0, 1, 2, 3].forEach(level => display.drawPixel(level, 0, display.grayColor(level)));
+        display.fillRect(10, 8, 4, 4, display.grayColor(1));
+        for (let level = 0; level < 4; level++) {
+            assert.deepStrictEqual([planePixel(display, 0, level, 0), planePixel(display, 1, level, 0)], [level & 1, level >> 1]);
+        }
+        assert.strictEqual(planePixel(display, 0, 11, 9), 1);
+        assert.strictEqual(planePixel(display, 1, 11, 9), 0);
+
+        // The most significant plane is the buffer everything else reads.
+        assert.strictEqual(display._grayPlanes[1], display._buffer);
+        assert.strictEqual(rawPixel(display, 3, 0), 1);
+        assert.strictEqual(display.getPixel(1, 0), 0);
+
+        display.fillScreen(display.grayColor(2));
+        assert.strictEqual(planePixel(display, 0, 3, 0), 0);
+        assert.strictEqual(planePixel(display, 1, 50, 50), 1);
+    });
+
+    it("keeps BLACK, WHITE and INVERSE as off, full and invert", async () => {
+        const {display} = await createDisplay({grayscaleBits:4});
+        display.drawPixel(0, 0, SH1106_WHITE);
+        assert.deepStrictEqual([0, 1, 2, 3].map(k => planePixel(display, k, 0, 0)), [1, 1, 1, 1]);
+        display.drawPixel(1, 0, display.grayColor(5)).drawPixel(1, 0, SH1106_INVERSE);
+        assert.deepStrictEqual([0, 1, 2, 3].map(k => planePixel(display, k, 1, 0)), [0, 1, 0, 1]);
+        display.drawPixel(0, 0, SH1106_BLACK);
+        assert.deepStrictEqual([0, 1, 2, 3].map(k => planePixel(display, k, 0, 0)), [0, 0, 0, 0]);
+    });
+
+    it("moves every plane with the buffer operations", async () => {
+        const {display} = await createDisplay({grayscaleBits:2});
+        display.fillRect(0, 0, 8, 8, display.grayColor(1));
+        display.scrollBuffer(0, 16);
+        assert.deepStrictEqual([planePixel(display, 0, 3, 19), planePixel(display, 1, 3, 19)], [1, 0]);
+        assert.deepStrictEqual([planePixel(display, 0, 3, 3), planePixel(display, 1, 3, 3)], [0, 0]);
+        display.copyRect(0, 16, 8, 8, 20, 0);
+        assert.strictEqual(planePixel(display, 0, 21, 1), 1);
+    });
+
+    it("draws page bitmaps and layers at full level", async () => {
+        const {display} = await createDisplay({grayscaleBits:2});
+        display.fillRect(0, 0, 8, 8, display.grayColor(1));
+        display.drawPageBitmap(0, 0, new Uint8Array([0x01, 0x00]), 2, 8, "replace");
+        assert.deepStrictEqual([planePixel(display, 0, 0, 0), planePixel(display, 1, 0, 0)], [1, 1]);
+        assert.deepStrictEqual([planePixel(display, 0, 1, 0), planePixel(display, 1, 1, 0)], [0, 0]);
+        assert.strictEqual(planePixel(display, 0, 2, 0), 1);
+        const layer = display.createLayer({width:8, height:8});
+        layer.fillRect(0, 0, 8, 8, SH1106_WHITE);
+        display.compositeLayer(layer, {x:2, y:0, mode:"mask"});
+        assert.deepStrictEqual([planePixel(display, 0, 2, 0), planePixel(display, 1, 2, 0)], [0, 0]);
+    });
+
+    it("draws the splash at full level", async () => {
+        const display = new Adafruit_SH1106_Emulated({width:128, height:64, grayscaleBits:2});
+        await display.startup();
+        assert.ok(display._buffer.some(byte => byte));
+        assert.deepStrictEqual(display._grayPlanes[0], display._buffer);
+    });
+
+    it("cycles the planes with weighted contrast", async t => {
+        const {display, emulator} = await createDisplay({grayscaleBits:2});
+        await display.setContrast(0x80);
+        emulator.clearLog();
+        await startMocked(t, display, {fps:50});
+        const stats = display.getGrayscaleStats();
+        assert.strictEqual(stats.fallback, false);
+        assert.strictEqual(stats.fps, 50);
+        await tickSubframes(t, display, 3, 10);
+        display.stopGrayscale();
+        await display;
+        assert.deepStrictEqual(sentContrast(emulator), [0x80, 0x40, 0x80, 0x40, 0x80]);
+        assert.strictEqual(display.getGrayscaleStats().subframes, 4);
+        assert.strictEqual(display.getGrayscaleStats().fps, 0);
+    });
+
+    it("owns display() and the contrast while cycling", async t => {
+        const {display, emulator} = await createDisplay({grayscaleBits:2});
+        await display.setContrast(0x80);
+        await startMocked(t, display, {fps:50});
+        emulator.clearLog();
+        display.drawPixel(0, 0, SH1106_WHITE);
+        await display.display();
+        await display.setContrast(0x40);
+        assert.deepStrictEqual(emulator.log, []);
+        assert.throws(() => display.fadeTo(0x10, 100), /not available while grayscale/);
+
+        // Each plane is sent whole, so nothing is left dirty for the render loop.
+        await tickSubframes(t, display, 2, 10);
+        assert.deepStrictEqual(sentContrast(emulator), [0x20, 0x40]);
+        assert.deepStrictEqual(display.getDirtySpans(), []);
+        display.drawPixel(1, 0, SH1106_WHITE)._renderTick();
+        await display;
+        assert.strictEqual(display.getRenderStats().frames, 0);
+        display.stopGrayscale();
+    });
+
+    it("pauses while dimmed or asleep", async t => {
+        const {display, emulator} = await createDisplay({grayscaleBits:2});
+        await startMocked(t, display, {fps:50});
+        const power = new SH1106_PowerManager(display, {idleTimeout:null, sleepTimeout:null});
+        power.sleep();
+        await display;
+        const subframes = display.getGrayscaleStats().subframes;
+        await tickSubframes(t, display, 3, 10);
+        assert.strictEqual(display.getGrayscaleStats().subframes, subframes);
+        power.wake();
+        await tickSubframes(t, display, 1, 10);
+        assert.strictEqual(display.getGrayscaleStats().subframes, subframes + 1);
+        power.stop();
+
+        await display.dim(true);
+        emulator.clearLog();
+        await tickSubframes(t, display, 3, 10);
+        assert.deepStrictEqual(emulator.log, []);
+        display.dim(false);
+        await display;
+        assert.deepStrictEqual(emulator.log, []);
+        display.stopGrayscale();
+    });
+
+    it("keeps cycling after a failed transfer", async t => {
+        const {display, emulator} = await createDisplay({grayscaleBits:2});
+        await startMocked(t, display, {fps:50});
+        const data = emulator.data;
+        emulator.data = _ => {
+            throw new Error("Bus error");
+        };
+        await tickSubframes(t, display, 1, 10);
+        let stats = display.getGrayscaleStats();
+        assert.deepStrictEqual([stats.subframes, stats.errors, stats.lastError.message], [1, 1, "Bus error"]);
+        assert.strictEqual(display._grayInFlight, false);
+
+        // The bus works again.
+        emulator.data = data;
+        emulator.clearLog();
+        await tickSubframes(t, display, 2, 10);
+        stats = display.getGrayscaleStats();
+        assert.deepStrictEqual([stats.subframes, stats.errors], [3, 1]);
+        assert.strictEqual(emulator.log.filter(e => e.type === "data").length, 16);
+        display.stopGrayscale();
+        await display;
+        assert.strictEqual(emulator.contrast, display.getContrast());
+    });
+
+    it("falls back when the first plane fails", async t => {
+        const {display, emulator} = await createDisplay({grayscaleBits:2});
+        const data = emulator.data;
+        // Fails once.
+        emulator.data = _ => {
+            emulator.data = data;
+            throw new Error("Bus error");
+        };
+        await startMocked(t, display);
+        assert.strictEqual(display.getGrayscaleStats().fallback, true);
+        assert.strictEqual(display._grayTimer, null);
+    });
+
+    it("falls back to the most significant plane on a slow bus", async () => {
+        const {display, emulator} = await createDisplay({grayscaleBits:4});
+        display.fillScreen(display.grayColor(8));
+        await display.startGrayscale({minFps:1e6});
+        const stats = display.getGrayscaleStats();
+        assert.strictEqual(stats.fallback, true);
+        assert.strictEqual(stats.fps, 0);
+        assert.strictEqual(display._grayTimer, null);
+        assert.strictEqual(emulator.contrast, display._contrast);
+        assert.strictEqual(emulator.getRamPixel(2, 0), 1);
+    });
+
+    it("validates options", async () => {
+        assert.throws(() => new Adafruit_SH1106_Emulated({width:128, height:64, grayscaleBits:3}), /Invalid grayscaleBits/);
+        const {display} = await createDisplay();
+        assert.strictEqual(display.getGrayLevels(), 2);
+        assert.strictEqual(display.grayColor(1), SH1106_WHITE);
+        assert.throws(() => display.grayColor(2), /Invalid level/);
+        assert.throws(() => display.startGrayscale(), /Grayscale not enabled/);
+        const gray = (await createDisplay({grayscaleBits:2})).display;
+        assert.throws(() => gray.grayColor(4), /Invalid level/);
+        assert.throws(() => gray.startGrayscale({fps:0}), /Invalid fps/);
+        assert.throws(() => gray.startGrayscale({minFps:-1}), /Invalid minFps/);
+    });
+});
@@ -0,0 +1,88 @@
+'use strict';
+//===============================================================
+// Shared helpers for the test suite.
+//===============================================================
+const {Adafruit_SH1106, Mixin_Emulator_Display} = require("../index");
+
+class Adafruit_SH1106_Emulated extends Mixin_Emulator_Display(Adafruit_SH1106) {}
+
+// Create and start an emulated display.  Splash is off unless requested.
+// Size defaults to 128x64 unless a panel profile is selected.
+// The display is wrapped in an object as it is itself a thenable.
+async function createDisplay(options) {
+    const defaults = (options && options.panel) ? {noSplash:true} : {width:128, height:64, noSplash:true};
+    const display = new Adafruit_SH1106_Emulated(Object.assign(defaults, options));
+    await display.startup();
+    const emulator = display.getEmulator();
+    emulator.clearLog();
+    return {display, emulator};
+}
+
+// Read a pixel straight from _buffer using unrotated (hardware) coordinates.
+function rawPixel(display, x, y) {
+    return (display._buffer[x + (y >>> 3) * display.WIDTH] >>> (y & 7)) & 1;
+}
+
+// Map logical (rotated) coordinates to unrotated buffer coordinates.
+function toRaw(display, x, y) {
+    const WIDTH = display.WIDTH, HEIGHT = display.HEIGHT;
+    switch (display.rotation) {
+        case 1:
+            return [WIDTH - y - 1, x];
+        case 2:
+            return [WIDTH - x - 1, HEIGHT - y - 1];
+        case 3:
+            return [y, HEIGHT - x - 1];
+        default:
+            return [x, y];
+    }
+}
+
+// Read a pixel from _buffer using logical (rotated) coordinates.
+function logicalPixel(display, x, y) {
+    const [rx, ry] = toRaw(display, x, y);
+    return rawPixel(display, rx, ry);
+}
+
+// Count set bits in _buffer.
+function countRaw(display) {
+    let count = 0;
+    for (const b of display._buffer) {
+        for (let v = b; v; v &= v - 1) count++;
+    }
+    return count;
+}
+
+// Draw a pseudo random but repeatable pattern over a display or layer.
+function scribble(gfx, seed) {
+    for (let y = 0; y < gfx.height(); y++) {
+        for (let x = 0; x < gfx.width(); x++) {
+            seed = (seed * 1103515245 + 12345) & 0x7FFFFFFF;
+            gfx.drawPixel(x, y, (seed >> 16) & 1);
+        }
+    }
+}
+
+// Read all pixels in logical coordinates as rows, top row first.
+function snapshot(display) {
+    const rows = [];
+    for (let y = 0; y < display.height(); y++) {
+        const row = [];
+        for (let x = 0; x < display.width(); x++) {
+            row.push(logicalPixel(display, x, y));
+        }
+        rows.push(row);
+    }
+    return rows;
+}
+
+// Contrast values sent since the log was last cleared, in order.
+function sentContrast(emulator) {
+    const bytes = emulator.log.filter(e => e.type === "command").map(e => e.bytes[0]), ret = [];
+    for (let i = 0; i < bytes.length; i++) {
+        if (bytes[i] === 0x81) ret.push(bytes[++i]);
+    }
+    return ret;
+}
+
+module.exports = {Adafruit_SH1106_Emulated, createDisplay, rawPixel, toRaw, logicalPixel, countRaw, scribble, snapshot, sentContrast};
@@ -0,0 +1,154 @@
+'use strict';
+const {describe, it} = require("node:test");
+const assert = require("node:assert");
+const zlib = require("zlib");
+
+const {decodeImage, imageTo1Bit, ditherImage, crc32} = require("../index");
+const {createDisplay, countRaw} = require("./helpers");
+
+// Build a PNG applying the same filter type to every row of samples.
+function makePNG(width, height, colorType, bitDepth, rows, filter, extraChunks = []) {
+    const chunk = (type, data) => {
+        const c = Buffer.alloc(12 + data.length);
+        c.writeUInt32BE(data.length, 0);
+        c.write(type, 4, "latin1");
+        Buffer.from(data).copy(c, 8);
+        c.writeUInt32BE(crc32(c.subarray(4, 8 + data.length)), 8 + data.length);
+        return c;
+    };
+    const channels = {0:1, 2:3, 3:1, 4:2, 6:4}[colorType],
+          bpp = Math.max(1, (channels * bitDepth) >> 3),
+          raw = [];
+    rows.forEach((row, y) => {
+        raw.push(filter);
+        row.forEach((v, x) => {
+            const a = (x >= bpp) ? row[x - bpp] : 0,
+                  b = (y > 0) ? rows[y - 1][x] : 0,
+                  c = ((x >= bpp) && (y > 0)) ? rows[y - 1][x - bpp] : 0;
+            const p = a + b - c, pa = Math.abs(p - a), pb = Math.abs(p - b), pc = Math.abs(p - c),
+                  paeth = ((pa <= pb) && (pa <= pc)) ? a : ((pb <= pc) ? b : c);
+            raw.push((v - [0, a, b, (a + b) >> 1, paeth][filter]) & 0xFF);
+        });
+    });
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = bitDepth;
+    header[9] = colorType;
+    return Buffer.concat([Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+                          chunk("IHDR", header)].concat(extraChunks.map(([t, d]) => chunk(t, d)),
+                          [chunk("IDAT", zlib.deflateSync(Buffer.from(raw))), chunk("IEND", [])]));
+}
+
+
+describe("image decoding", () => {
+    it("decodes every PNG filter type", () => {
+        const rows = [[10, 20, 30, 255, 200, 100, 50, 128],
+                      [0, 0, 0, 0, 255, 255, 255, 255]];
+        for (const filter of [0, 1, 2, 3, 4]) {
+            const image = decodeImage(makePNG(2, 2, 6, 8, rows, filter));
+            assert.deepStrictEqual([image.width, image.height], [2, 2]);
+            // Second pixel of the first row is half transparent.
+            assert.deepStrictEqual(Array.from(image.data), [18, 62, 0, 255], `filter:${filter}`);
+        }
+    });
+
+    it("decodes low bit depth grayscale and palette PNGs", () => {
+        const gray = decodeImage(makePNG(4, 1, 0, 2, [[0b00011011]], 0));
+        assert.deepStrictEqual(Array.from(gray.data), [0, 85, 170, 255]);
+
+        const palette = [[0, 0, 0, 255, 255, 255, 255, 0, 0]];
+        const indexed = decodeImage(makePNG(3, 1, 3, 4, [[0x12, 0x00]], 0,
+                                            [["PLTE", palette[0]], ["tRNS", [255, 0, 255]]]));
+        assert.deepStrictEqual(Array.from(indexed.data), [0, 76, 0]);
+    });
+
+    it("decodes 16 bit RGB PNGs", () => {
+        const image = decodeImage(makePNG(1, 1, 2, 16, [[0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF]], 1));
+        assert.deepStrictEqual(Array.from(image.data), [255]);
+    });
+
+    it("decodes ASCII and binary PBM/PGM", () => {
+        assert.deepStrictEqual(Array.from(decodeImage(Buffer.from("P1\n# comment\n3 1\n101\n")).data), [0, 255, 0]);
+        assert.deepStrictEqual(Array.from(decodeImage(Buffer.from("P2 2 1 15 0 15")).data), [0, 255]);
+        assert.deepStrictEqual(Array.from(decodeImage(Buffer.concat([Buffer.from("P4\n3 1\n"), Buffer.from([0x40])])).data), [255, 0, 255]);
+        assert.deepStrictEqual(Array.from(decodeImage(Buffer.concat([Buffer.from("P5\n2 1\n255\n"), Buffer.from([7, 9])])).data), [7, 9]);
+    });
+
+    it("converts raw gray and RGBA pixels", () => {
+        assert.deepStrictEqual(Array.from(decodeImage({width:2, height:1, data:[1, 2]}).data), [1, 2]);
+        const rgba = decodeImage({width:2, height:1, data:[255, 255, 255, 255, 255, 255, 255, 0]});
+        assert.deepStrictEqual(Array.from(rgba.data), [255, 0]);
+        assert.throws(() => decodeImage({width:2, height:2, data:[1, 2]}), /Invalid image/);
+        assert.throws(() => decodeImage(Buffer.from("GIF89a")), /Invalid image/);
+    });
+});
+
+
+describe("dithering and scaling", () => {
+    const gray = {width:16, height:16, data:new Uint8Array(256).fill(128)};
+    const lit = bitmap => bitmap.data.reduce((n, b) => n + [...b.toString(2)].filter(c => c === "1").length, 0);
+
+    it("thresholds", () => {
+        assert.strictEqual(lit(ditherImage(gray)), 256);
+        assert.strictEqual(lit(ditherImage(gray, "threshold", 129)), 0);
+    });
+
+    it("dithers mid gray to about half the pixels", () => {
+        assert.strictEqual(lit(ditherImage(gray, "bayer")), 128);
+        for (const mode of ["floyd-steinberg", "atkinson"]) {
+            const count = lit(ditherImage(gray, mode));
+            assert.ok(count > 100 && count < 156, `${mode}:${count}`);
+        }
+        assert.throws(() => ditherImage(gray, "random"), /Invalid dither/);
+    });
+
+    it("scales to fit keeping the aspect ratio", () => {
+        const image = {width:8, height:4, data:new Uint8Array(32).fill(255)};
+        const fitted = imageTo1Bit(image, {width:4, height:4, fit:true});
+        assert.deepStrictEqual([fitted.width, fitted.height], [4, 2]);
+        const tall = imageTo1Bit(image, {height:8});
+        assert.deepStrictEqual([tall.width, tall.height], [16, 8]);
+        assert.strictEqual(lit(tall), 128);
+    });
+
+    it("averages pixels when shrinking", () => {
+        const checker = {width:2, height:2, data:[255, 0, 0, 255]};
+        assert.strictEqual(imageTo1Bit(checker, {width:1, height:1, dither:"threshold", threshold:128}).data[0], 0x80);
+        assert.strictEqual(imageTo1Bit(checker, {width:1, height:1, dither:"threshold", threshold:129}).data[0], 0x00);
+    });
+});
+
+
+describe("drawImage()", () => {
+    it("round trips toPNG() and toPBM()", async () => {
+        const {display} = await createDisplay({height:32});
+        display.fillCircle(20, 16, 10, 1).drawLine(0, 31, 127, 0, 1);
+        for (const file of [display.toPNG(), display.toPBM()]) {
+            const {display:copy} = await createDisplay({height:32});
+            copy.drawImage(0, 0, file);
+            assert.deepStrictEqual(copy._buffer, display._buffer);
+        }
+    });
+
+    it("draws an opaque background when requested", async () => {
+        const {display} = await createDisplay();
+        display.fillScreen(1);
+        display.drawImage(0, 0, {width:4, height:2, data:[255, 0, 255, 0, 0, 0, 0, 0]}, {background:0});
+        assert.strictEqual(countRaw(display), 128 * 64 - 6);
+    });
+
+    it("draws in the current rotation", async () => {
+        const {display} = await createDisplay({rotation:1});
+        display.drawImage(0, 0, {width:1, height:1, data:[255]});
+        assert.strictEqual(display._buffer[127], 0x01);
+    });
+
+    it("rejects an invalid size", async () => {
+        const {display} = await createDisplay();
+        const image = {width:1, height:1, data:[255]};
+        assert.throws(() => display.drawImage(0, 0, image, {width:NaN}), /Invalid width/);
+        assert.throws(() => display.drawImage(0, 0, image, {height:0}), /Invalid height/);
+        assert.throws(() => display.drawImage(0, 0, image, {width:2.5, height:2}), /Invalid width/);
+    });
+});
@@ -0,0 +1,60 @@
+'use strict';
+const {describe, it} = require("node:test");
+const assert = require("node:assert");
+
+const {Adafruit_SH1106_Emulated, createDisplay} = require("./helpers");
+
+
+describe("init options", () => {
+    it("uses the default timing", async () => {
+        const {emulator} = await createDisplay();
+        assert.strictEqual(emulator.clockDiv, 0x80);
+        assert.strictEqual(emulator.precharge, 0xF1);
+        assert.strictEqual(emulator.vcomDetect, 0x35);
+    });
+
+    it("sends clockDiv, precharge, vcomDetect and comPins options", async () => {
+        const {emulator} = await createDisplay({clockDiv:0xF0, precharge:0x22, vcomDetect:0x20, comPins:0x02});
+        assert.strictEqual(emulator.clockDiv, 0xF0);
+        assert.strictEqual(emulator.precharge, 0x22);
+        assert.strictEqual(emulator.vcomDetect, 0x20);
+        assert.strictEqual(emulator.comPins, 0x02);
+    });
+
+    it("validates options", () => {
+        const create = options => new Adafruit_SH1106_Emulated(Object.assign({width:128, height:64}, options));
+        assert.throws(() => create({clockDiv:0x100}), /Invalid clockDiv/);
+        assert.throws(() => create({precharge:-1}), /Invalid precharge/);
+        assert.throws(() => create({vcomDetect:"0x35"}), /Invalid vcomDetect/);
+        assert.throws(() => create({comPins:0x22}), /Invalid comPins/);
+        assert.throws(() => create({multiplex:31}), /Invalid multiplex: 31. Expected an integer between 63 and 63/);
+        assert.throws(() => create({height:32, multiplex:64}), /Invalid multiplex/);
+        assert.strictEqual(create({height:32, multiplex:63})._multiplex, 63);
+        assert.throws(() => create({initSequence:[]}), /Invalid initSequence/);
+        assert.throws(() => create({initSequence:[0xAE, 0x1FF]}), /Invalid initSequence\[1\]/);
+    });
+
+    it("replaces the built-in sequence with initSequence", async () => {
+        const initSequence = [0xAE, 0xD5, 0x50, 0xA8, 0x3F, 0xA1, 0xC8, 0xDA, 0x12, 0x81, 0x10, 0xA4, 0xA6];
+        const display = new Adafruit_SH1106_Emulated({width:128, height:64, noSplash:true, initSequence});
+        const emulator = display.getEmulator();
+        await display.startup();
+        const commands = emulator.log.filter(e => e.type === "command").map(e => e.bytes[0]);
+        assert.deepStrictEqual(commands.slice(0, initSequence.length), initSequence);
+        assert.strictEqual(emulator.clockDiv, 0x50);
+        assert.strictEqual(emulator.contrast, 0x10);
+        assert.strictEqual(emulator.displayOn, true);
+    });
+
+    it("takes over the settings sent by initSequence", async () => {
+        // 0xD5 0x81 is a clock setting, not a contrast command.
+        const initSequence = [0xAE, 0xD5, 0x81, 0xAD, 0x8A, 0x30, 0xA0, 0xC0, 0x81, 0x10, 0xA4, 0xA6];
+        const {display, emulator} = await createDisplay({contrast:0x40, mirror:{horizontal:false}, initSequence});
+        assert.strictEqual(display.getContrast(), 0x10);
+        assert.deepStrictEqual(display.getMirror(), {horizontal:true, vertical:true});
+        assert.strictEqual(display.isDCDCEnabled(), false);
+        assert.strictEqual(display.getPumpVoltage(), 6.4);
+        await display.dim(true).dim(false);
+        assert.strictEqual(emulator.contrast, 0x10);
+    });
+});
@@ -0,0 +1,70 @@
+'use strict';
+const {describe, it} = require("node:test");
+const assert = require("node:assert");
+
+const {Adafruit_SH1106_Colors} = require("../index");
+const {createDisplay, countRaw, scribble, snapshot} = require("./helpers");
+const {SH1106_WHITE} = Adafruit_SH1106_Colors;
+
+const BLEND = {
+    or:      (d, s) => d | s,
+    and:     (d, s) => d & s,
+    xor:     (d, s) => d ^ s,
+    replace: (d, s) => s,
+    mask:    (d, s) => d & (s ^ 1)
+};
+
+
+describe("layers", () => {
+    it("creates layers with the display size and rotation", async () => {
+        const {display} = await createDisplay();
+        display.setRotation(1);
+        const layer = display.createLayer();
+        assert.deepStrictEqual([layer.width(), layer.height(), layer.getRotation()], [64, 128, 1]);
+        const small = display.createLayer({width:30, height:20});
+        assert.deepStrictEqual([small.width(), small.height()], [30, 20]);
+    });
+
+    for (const mode of Object.keys(BLEND)) {
+        it("composites with mode " + mode + " at any offset and rotation", async () => {
+            const {display} = await createDisplay();
+            for (const [rotation, x, y] of [[0, 5, 3], [1, -4, 50], [2, 100, 60], [3, 17, -9]]) {
+                display.setRotation(rotation);
+                scribble(display, rotation + 1);
+                const layer = display.createLayer({width:37, height:21}),
+                      mask = display.createLayer({width:37, height:21});
+                scribble(layer, 7);
+                scribble(mask, 11);
+                const before = snapshot(display);
+                display.compositeLayer(layer, {x, y, mode, mask});
+                const after = snapshot(display);
+                before.forEach((row, py) => row.forEach((d, px) => {
+                    const lx = px - x, ly = py - y,
+                          inside = (lx >= 0) && (lx < 37) && (ly >= 0) && (ly < 21) && mask.getPixel(lx, ly),
+                          expected = inside ? BLEND[mode](d, layer.getPixel(lx, ly)) : d;
+                    assert.strictEqual(after[py][px], expected, "rotation " + rotation + " at " + px + "," + py);
+                }));
+            }
+        });
+    }
+
+    it("marks the composited area dirty and honors the clip rectangle", async () => {
+        const {display} = await createDisplay();
+        const layer = display.createLayer({width:16, height:16});
+        layer.fillScreen(SH1106_WHITE);
+        display.setClipRect(0, 0, 20, 20);
+        display.compositeLayer(layer, {x:10, y:4});
+        assert.strictEqual(countRaw(display), 10 * 16);
+        assert.deepStrictEqual(display.getDirtySpans(), [{page:0, x1:10, x2:19}, {page:1, x1:10, x2:19}, {page:2, x1:10, x2:19}]);
+    });
+
+    it("validates arguments", async () => {
+        const {display} = await createDisplay();
+        const layer = display.createLayer();
+        assert.throws(() => display.compositeLayer({}), /Invalid layer/);
+        assert.throws(() => display.compositeLayer(layer, {mode:"add"}), /Invalid mode/);
+        assert.throws(() => display.compositeLayer(layer, {mask:display.createLayer({width:8})}), /Invalid mask/);
+        display.setRotation(2);
+        assert.throws(() => display.compositeLayer(layer), /Invalid layer/);
+    });
+});
@@ -0,0 +1,68 @@
+'use strict';
+const {describe, it} = require("node:test");
+const assert = require("node:assert");
+
+const {createDisplay} = require("./helpers");
+
+// Glass coordinates of all lit pixels.
+function litPixels(emulator) {
+    const ret = [];
+    for (let y = 0; y < 64; y++) {
+        for (let x = 0; x < 132; x++) {
+            if (emulator.getScreenPixel(x, y)) ret.push([x, y]);
+        }
+    }
+    return ret;
+}
+
+
+describe("hardware mirroring", () => {
+    it("is not mirrored by default", async () => {
+        const {display, emulator} = await createDisplay();
+        display.drawPixel(0, 0, 1);
+        await display.display();
+        assert.deepStrictEqual(litPixels(emulator), [[2, 0]]);
+        assert.deepStrictEqual(display.getMirror(), {horizontal:false, vertical:false});
+    });
+
+    it("mirrors both axes when mounted upside down", async () => {
+        const {display, emulator} = await createDisplay({upsideDown:true});
+        display.drawPixel(0, 0, 1);
+        await display.display();
+        assert.strictEqual(emulator.segRemap, false);
+        assert.strictEqual(emulator.comScanDec, false);
+        assert.deepStrictEqual(litPixels(emulator), [[129, 63]]);
+    });
+
+    it("mirrors with the mirror option", async () => {
+        const {display, emulator} = await createDisplay({mirror:{vertical:true}});
+        display.drawPixel(0, 0, 1);
+        await display.display();
+        assert.deepStrictEqual(litPixels(emulator), [[2, 63]]);
+    });
+
+    it("setMirror() changes one axis at a time", async () => {
+        const {display, emulator} = await createDisplay();
+        display.drawPixel(0, 0, 1);
+        await display.display();
+        await display.setMirror({horizontal:true});
+        assert.deepStrictEqual(litPixels(emulator), [[129, 0]]);
+        await display.setMirror({vertical:true});
+        assert.deepStrictEqual(display.getMirror(), {horizontal:true, vertical:true});
+        assert.deepStrictEqual(litPixels(emulator), [[129, 63]]);
+    });
+
+    it("keeps the glass area for panels not centered in RAM", async () => {
+        const {display, emulator} = await createDisplay({colOffset:0});
+        display.drawPixel(0, 0, 1);
+        await display.display();
+        assert.deepStrictEqual(litPixels(emulator), [[0, 0]]);
+        await display.setMirror({horizontal:true});
+        assert.strictEqual(display.window_x1, 0);
+        assert.strictEqual(display.window_x2, 127);
+        emulator.ram.fill(0);
+        await display.display();
+        // Mirrored within glass columns 0..127.
+        assert.deepStrictEqual(litPixels(emulator), [[127, 0]]);
+    });
+});
@@ -0,0 +1,91 @@
+'use strict';
+const {describe, it} = require("node:test");
+const assert = require("node:assert");
+
+const {SH1106_MultiDisplay, Adafruit_SH1106_Colors} = require("../index");
+const {Adafruit_SH1106_Emulated, countRaw, logicalPixel} = require("./helpers");
+const {SH1106_WHITE, SH1106_INVERSE} = Adafruit_SH1106_Colors;
+
+function createPanels(options) {
+    return [0, 1].map(_ => new Adafruit_SH1106_Emulated(Object.assign({width:128, height:64, noSplash:true}, options)));
+}
+
+async function createMulti(layout, options) {
+    const displays = createPanels(options);
+    const multi = new SH1106_MultiDisplay(Object.assign({panels:layout.map((xy, i) => ({display:displays[i], x:xy[0], y:xy[1]}))}, options && options.multi));
+    await multi.startup();
+    displays.forEach(d => d.getEmulator().clearLog());
+    return {multi, displays};
+}
+
+
+describe("SH1106_MultiDisplay", () => {
+    it("spans panels side by side", async () => {
+        const {multi, displays} = await createMulti([[0, 0], [128, 0]]);
+        assert.deepStrictEqual([multi.width(), multi.height()], [256, 64]);
+        multi.drawFastHLine(120, 5, 16, SH1106_WHITE).drawPixel(255, 63, SH1106_WHITE);
+        assert.strictEqual(countRaw(displays[0]), 8);
+        assert.strictEqual(countRaw(displays[1]), 9);
+        assert.strictEqual(logicalPixel(displays[0], 127, 5), 1);
+        assert.strictEqual(logicalPixel(displays[1], 7, 5), 1);
+        assert.strictEqual(logicalPixel(displays[1], 127, 63), 1);
+    });
+
+    it("spans panels stacked with their own rotation", async () => {
+        const displays = createPanels();
+        displays[1].setRotation(2);
+        const multi = new SH1106_MultiDisplay({panels:[{display:displays[0]}, {display:displays[1], y:64}]});
+        assert.deepStrictEqual([multi.width(), multi.height()], [128, 128]);
+        multi.drawFastVLine(3, 60, 8, SH1106_WHITE);
+        assert.strictEqual(countRaw(displays[0]), 4);
+        assert.strictEqual(logicalPixel(displays[1], 3, 3), 1);
+        assert.strictEqual(logicalPixel(displays[1], 3, 4), 0);
+    });
+
+    it("honors canvas rotation", async () => {
+        const {multi, displays} = await createMulti([[0, 0], [128, 0]]);
+        multi.setRotation(1);
+        assert.deepStrictEqual([multi.width(), multi.height()], [64, 256]);
+        multi.drawFastHLine(0, 0, 64, SH1106_WHITE);
+        multi.drawFastVLine(0, 0, 256, SH1106_WHITE);
+        multi.drawPixel(63, 255, SH1106_WHITE);
+        // Canvas top row is the right-most column of the right panel.
+        assert.strictEqual(logicalPixel(displays[1], 127, 0), 1);
+        assert.strictEqual(logicalPixel(displays[1], 127, 63), 1);
+        // Canvas left column is the bottom row of both panels.
+        assert.strictEqual(countRaw(displays[0]), 128 + 1);
+        assert.strictEqual(logicalPixel(displays[0], 0, 0), 1);
+    });
+
+    it("sends only the dirty parts of each panel", async () => {
+        const {multi, displays} = await createMulti([[0, 0], [128, 0]]);
+        multi.drawPixel(200, 0, SH1106_WHITE);
+        await multi.display();
+        assert.deepStrictEqual(displays[0].getEmulator().log, []);
+        const data = displays[1].getEmulator().log.filter(e => e.type === "data");
+        assert.deepStrictEqual(data.map(e => [e.page, e.column, e.bytes.length]), [[0, 74, 1]]);
+    });
+
+    it("fills and clears every panel", async () => {
+        const {multi, displays} = await createMulti([[0, 0], [128, 0]]);
+        multi.fillScreen(SH1106_WHITE);
+        assert.ok(displays.every(d => countRaw(d) === 128 * 64));
+        multi.fillRect(0, 0, 128, 64, SH1106_INVERSE);
+        assert.strictEqual(countRaw(displays[0]), 0);
+        multi.clearDisplay();
+        assert.strictEqual(countRaw(displays[1]), 0);
+    });
+
+    it("shuts down all panels", async () => {
+        const {multi, displays} = await createMulti([[0, 0], [128, 0]]);
+        await multi.shutdown();
+        assert.ok(displays.every(d => !d.getEmulator().displayOn));
+    });
+
+    it("validates panels", () => {
+        const [display] = createPanels();
+        assert.throws(() => new SH1106_MultiDisplay({panels:[]}), /Invalid panels/);
+        assert.throws(() => new SH1106_MultiDisplay({panels:[{}]}), /Invalid panel 0/);
+        assert.throws(() => new SH1106_MultiDisplay({panels:[{display, x:-1}]}), /Invalid panel 0/);
+    });
+});
@@ -0,0 +1,66 @@
+'use strict';
+const {describe, it} = require("node:test");
+const assert = require("node:assert");
+
+const {Adafruit_SH1106_Colors, rowMajorToPageMajor} = require("../index");
+const {createDisplay, countRaw} = require("./helpers");
+const {SH1106_WHITE} = Adafruit_SH1106_Colors;
+
+// 11x13 row-major test sprite with an irregular pattern.
+const W = 11, H = 13;
+const ROWS = Uint8Array.from({length:2 * H}, (_, i) => (i * 37 + 11) & ((i & 1) ? 0xE0 : 0xFF));
+
+
+describe("drawPageBitmap()", () => {
+    it("rowMajorToPageMajor() converts the layout", () => {
+        const pages = rowMajorToPageMajor(ROWS, W, H);
+        assert.strictEqual(pages.length, W * 2);
+        for (let y = 0; y < H; y++) {
+            for (let x = 0; x < W; x++) {
+                const rowBit = (ROWS[y * 2 + (x >> 3)] >> (7 - (x & 7))) & 1,
+                      pageBit = (pages[x + (y >> 3) * W] >> (y & 7)) & 1;
+                assert.strictEqual(pageBit, rowBit, x + "," + y);
+            }
+        }
+    });
+
+    it("matches draw1BitBitmap() at any position and rotation", async () => {
+        const {display: fast} = await createDisplay();
+        const {display: slow} = await createDisplay();
+        const pages = rowMajorToPageMajor(ROWS, W, H);
+        for (const rotation of [0, 1, 2, 3]) {
+            for (const [x, y] of [[0, 0], [20, 16], [3, 5], [-4, -3], [120, 58]]) {
+                fast.setRotation(rotation).clearDisplay();
+                slow.setRotation(rotation).clearDisplay();
+                fast.drawPageBitmap(x, y, pages, W, H);
+                slow.draw1BitBitmap(x, y, ROWS, W, H, SH1106_WHITE);
+                assert.deepStrictEqual(fast._buffer, slow._buffer, "rotation " + rotation + " at " + x + "," + y);
+            }
+        }
+    });
+
+    it("copies whole bytes when page aligned", async () => {
+        const {display} = await createDisplay();
+        display.fillScreen(SH1106_WHITE)._resetDirtyWindow();
+        display.drawPageBitmap(8, 16, Uint8Array.of(0x0F, 0xF0, 0x00, 0xFF), 2, 16, "replace");
+        assert.deepStrictEqual(Array.from(display._buffer.subarray(2 * 128 + 8, 2 * 128 + 10)), [0x0F, 0xF0]);
+        assert.deepStrictEqual(Array.from(display._buffer.subarray(3 * 128 + 8, 3 * 128 + 10)), [0x00, 0xFF]);
+        assert.deepStrictEqual(display.getDirtySpans(), [{page:2, x1:8, x2:9}, {page:3, x1:8, x2:9}]);
+    });
+
+    it("supports blend modes", async () => {
+        const {display} = await createDisplay();
+        display.fillRect(0, 0, 8, 8, SH1106_WHITE);
+        display.drawPageBitmap(0, 0, Uint8Array.of(0xFF, 0xFF), 2, 8, "xor");
+        assert.strictEqual(countRaw(display), 6 * 8);
+        display.drawPageBitmap(2, 0, Uint8Array.of(0x01), 1, 8, "mask");
+        assert.strictEqual(countRaw(display), 6 * 8 - 1);
+    });
+
+    it("validates arguments", async () => {
+        const {display} = await createDisplay();
+        assert.throws(() => display.drawPageBitmap(0, 0, [0xFF], 2, 8), /Invalid data/);
+        assert.throws(() => display.drawPageBitmap(0, 0, [0xFF], 1, 8, "add"), /Invalid mode/);
+        assert.throws(() => display.drawPageBitmap(0, 0, [0xFF], 0, 8), /Invalid w/);
+    });
+});
@@ -0,0 +1,55 @@
+'use strict';
+const {describe, it} = require("node:test");
+const assert = require("node:assert");
+
+const {registerPanelProfile, getPanelProfile, getPanelProfileNames} = require("../index");
+const {Adafruit_SH1106_Emulated, createDisplay} = require("./helpers");
+
+
+describe("panel profiles", () => {
+    it("provides the built-in profiles", () => {
+        for (const name of ["128x64-generic", "128x64-offset0", "128x32", "132x64-full-ram", "64x48"]) {
+            assert.ok(getPanelProfileNames().includes(name), name);
+        }
+        assert.ok(Object.isFrozen(getPanelProfile("128x32")));
+    });
+
+    it("configures the display from the profile", async () => {
+        const {display, emulator} = await createDisplay({panel:"64x48"});
+        assert.strictEqual(display.WIDTH, 64);
+        assert.strictEqual(display.HEIGHT, 48);
+        assert.strictEqual(display.column_offset, 34);
+        assert.strictEqual(emulator.multiplex, 47);
+        assert.strictEqual(emulator.comPins, 0x12);
+    });
+
+    it("lets explicit options override the profile", async () => {
+        const display = new Adafruit_SH1106_Emulated({panel:"128x32", colOffset:0, contrast:0x10});
+        assert.strictEqual(display.HEIGHT, 32);
+        assert.strictEqual(display.column_offset, 0);
+        assert.strictEqual(display.getContrast(), 0x10);
+    });
+
+    it("uses the full display RAM", async () => {
+        const {display, emulator} = await createDisplay({panel:"132x64-full-ram"});
+        display.drawPixel(131, 0, 1);
+        await display.display();
+        assert.strictEqual(emulator.getRamPixel(131, 0), 1);
+    });
+
+    it("registers custom profiles", async () => {
+        registerPanelProfile("test-96x16", {width:96, height:16, multiplex:15, comPins:0x02, colOffset:18});
+        const display = new Adafruit_SH1106_Emulated({panel:"test-96x16"});
+        assert.strictEqual(display.WIDTH, 96);
+        assert.strictEqual(display.column_offset, 18);
+        assert.throws(() => registerPanelProfile("test-96x16", {width:96, height:16}), /already registered/);
+    });
+
+    it("rejects invalid profiles", () => {
+        assert.throws(() => registerPanelProfile("", {width:1, height:1}), /Invalid panel profile name/);
+        assert.throws(() => registerPanelProfile("bad-1", null), /Expected an object/);
+        assert.throws(() => registerPanelProfile("bad-2", {width:128}), /'height' must be/);
+        assert.throws(() => registerPanelProfile("bad-3", {width:128, height:64, colOfset:2}), /Unknown option 'colOfset'/);
+        assert.throws(() => new Adafruit_SH1106_Emulated({panel:"nope"}), /Unknown panel profile 'nope'/);
+    });
+});
@@ -0,0 +1,87 @@
+'use strict';
+const {describe, it} = require("node:test");
+const assert = require("node:assert");
+
+const {Adafruit_SH1106_Colors, SH1106_Pattern, SH1106_Patterns} = require("../index");
+const {createDisplay, rawPixel, logicalPixel} = require("./helpers");
+const {SH1106_WHITE} = Adafruit_SH1106_Colors;
+const {SH1106_PATTERN_50, SH1106_PATTERN_HATCH_DIAGONAL, SH1106_PATTERN_HATCH_HORIZONTAL} = SH1106_Patterns;
+
+
+describe("pattern colors", () => {
+    it("fills shapes with the pattern", async () => {
+        const {display} = await createDisplay();
+        display.fillRect(0, 0, 16, 16, SH1106_PATTERN_50);
+        for (let y = 0; y < 16; y++) {
+            for (let x = 0; x < 16; x++) {
+                assert.strictEqual(rawPixel(display, x, y), (x + y + 1) & 1, `pixel ${x},${y}`);
+            }
+        }
+        assert.strictEqual(rawPixel(display, 16, 1), 0);
+    });
+
+    it("tiles adjacent shapes seamlessly", async () => {
+        const {display} = await createDisplay();
+        display.fillRect(0, 3, 5, 11, SH1106_PATTERN_HATCH_DIAGONAL);
+        display.fillRect(5, 3, 7, 11, SH1106_PATTERN_HATCH_DIAGONAL);
+        display.drawFastHLine(0, 20, 16, SH1106_PATTERN_HATCH_DIAGONAL);
+        for (let y = 3; y < 14; y++) {
+            for (let x = 0; x < 12; x++) {
+                assert.strictEqual(rawPixel(display, x, y), ((x & 7) === (y & 7)) ? 1 : 0, `pixel ${x},${y}`);
+            }
+        }
+        assert.deepStrictEqual([4, 12].map(x => rawPixel(display, x, 20)), [1, 1]);
+    });
+
+    it("clears unset pixels unless transparent", async () => {
+        const {display} = await createDisplay();
+        display.fillScreen(SH1106_WHITE);
+        display.drawFastVLine(0, 0, 16, SH1106_PATTERN_50);
+        display.drawFastVLine(1, 0, 16, SH1106_PATTERN_50.transparent());
+        assert.deepStrictEqual([0, 1].map(y => rawPixel(display, 0, y)), [1, 0]);
+        assert.deepStrictEqual([0, 1].map(y => rawPixel(display, 1, y)), [1, 1]);
+    });
+
+    it("is anchored to screen coordinates in every rotation", async () => {
+        const {display} = await createDisplay({width:132, height:64});
+        for (let rotation = 0; rotation < 4; rotation++) {
+            display.setRotation(rotation).clearDisplay();
+            const w = display.width(), h = display.height();
+            display.fillRect(0, 0, w, h, SH1106_PATTERN_HATCH_HORIZONTAL);
+            display.drawFastVLine(w - 1, 0, h, SH1106_PATTERN_HATCH_HORIZONTAL);
+            for (let y = 0; y < h; y++) {
+                for (let x = 0; x < w; x++) {
+                    assert.strictEqual(logicalPixel(display, x, y), (y & 3) ? 0 : 1, `rotation ${rotation} pixel ${x},${y}`);
+                }
+            }
+            display.clearDisplay().drawPixel(1, 0, SH1106_PATTERN_HATCH_DIAGONAL).drawPixel(1, 1, SH1106_PATTERN_HATCH_DIAGONAL);
+            assert.deepStrictEqual([logicalPixel(display, 1, 0), logicalPixel(display, 1, 1)], [0, 1], `rotation ${rotation}`);
+        }
+    });
+
+    it("works with text, circles, fillScreen and drawPixel", async () => {
+        const {display} = await createDisplay();
+        display.fillScreen(SH1106_PATTERN_50);
+        assert.strictEqual(display.countPixels(), 128 * 64 / 2);
+        display.clearDisplay();
+        display.fillCircle(64, 32, 10, SH1106_PATTERN_50);
+        assert.ok(display.countPixels() > 100);
+        display.clearDisplay();
+        display.drawPixel(1, 0, SH1106_PATTERN_50).drawPixel(2, 0, SH1106_PATTERN_50);
+        assert.deepStrictEqual([rawPixel(display, 1, 0), rawPixel(display, 2, 0)], [0, 1]);
+        display.clearDisplay();
+        display.setTextColor(SH1106_PATTERN_50).setCursor(0, 0).print("#");
+        assert.ok(display.countPixels() > 0);
+    });
+
+    it("validates rows", () => {
+        assert.throws(() => new SH1106_Pattern([1, 2, 3]), /Invalid pattern rows/);
+        assert.throws(() => new SH1106_Pattern([0, 0, 0, 0, 0, 0, 0, 256]), /Invalid pattern rows/);
+        const pattern = new SH1106_Pattern([0x80, 0, 0, 0, 0, 0, 0, 0]);
+        assert.deepStrictEqual(pattern.getRows(), [0x80, 0, 0, 0, 0, 0, 0, 0]);
+        assert.strictEqual(pattern.isLit(8, 8), true);
+        assert.strictEqual(pattern.isLit(1, 0), false);
+        assert.strictEqual(pattern.isTransparent(), false);
+        assert.strictEqual(pattern.transparent().isTransparent(), true);
+    });
+});
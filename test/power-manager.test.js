@@ -0,0 +1,120 @@
+'use strict';
+const {describe, it} = require("node:test");
+const assert = require("node:assert");
+
+const {SH1106_PowerManager, Adafruit_SH1106_Colors} = require("../index");
+const {createDisplay} = require("./helpers");
+const {SH1106_WHITE} = Adafruit_SH1106_Colors;
+
+
+describe("SH1106_PowerManager", () => {
+    it("dims, then sleeps when idle", async t => {
+        const {display, emulator} = await createDisplay({contrast:0x40});
+        t.mock.timers.enable({apis:["setTimeout"]});
+        const power = new SH1106_PowerManager(display, {idleTimeout:20, sleepTimeout:60});
+        const events = [];
+        power.on("stateChange", (state, oldState) => events.push(oldState + "->" + state));
+        t.mock.timers.tick(19);
+        assert.strictEqual(power.getState(), "active");
+        t.mock.timers.tick(1);
+        await display;
+        assert.strictEqual(power.getState(), "dimmed");
+        assert.strictEqual(emulator.contrast, 0);
+        assert.strictEqual(emulator.displayOn, true);
+        t.mock.timers.tick(40);
+        await display;
+        assert.strictEqual(power.getState(), "sleeping");
+        assert.strictEqual(emulator.displayOn, false);
+        assert.deepStrictEqual(events, ["active->dimmed", "dimmed->sleeping"]);
+        power.stop();
+    });
+
+    it("wakes on display() and re-sends the buffer", async () => {
+        const {display, emulator} = await createDisplay({contrast:0x40, shadowRam:true});
+        const power = new SH1106_PowerManager(display, {idleTimeout:null, sleepTimeout:1000});
+        const events = [];
+        power.on("sleep", _ => events.push("sleep")).on("wake", _ => events.push("wake"));
+        power.sleep();
+        await display;
+        assert.strictEqual(emulator.displayOn, false);
+        emulator.ram.fill(0);
+        emulator.clearLog();
+
+        display.drawPixel(0, 0, SH1106_WHITE);
+        await display.display();
+        assert.strictEqual(power.getState(), "active");
+        assert.strictEqual(emulator.displayOn, true);
+        assert.strictEqual(emulator.contrast, 0x40);
+        assert.strictEqual(emulator.log.filter(e => e.type === "data").length, 8);
+        assert.strictEqual(emulator.getRamPixel(2, 0), 1);
+        assert.deepStrictEqual(events, ["sleep", "wake"]);
+        power.stop();
+    });
+
+    it("wake() and activity() restart the timers", async t => {
+        const {display, emulator} = await createDisplay();
+        t.mock.timers.enable({apis:["setTimeout"]});
+        const power = new SH1106_PowerManager(display, {idleTimeout:30, sleepTimeout:null});
+        power.sleep();
+        power.wake();
+        await display;
+        assert.strictEqual(emulator.displayOn, true);
+        for (let i = 0; i < 4; i++) {
+            t.mock.timers.tick(15);
+            power.activity();
+        }
+        assert.strictEqual(power.getState(), "active");
+        t.mock.timers.tick(30);
+        assert.strictEqual(power.getState(), "dimmed");
+        power.activity();
+        assert.strictEqual(power.getState(), "active");
+        power.stop();
+    });
+
+    it("wakes when the render loop sends new drawing", async () => {
+        const {display, emulator} = await createDisplay();
+        const power = new SH1106_PowerManager(display, {idleTimeout:null, sleepTimeout:1000});
+        power.sleep();
+        display._renderTick();
+        await display;
+        assert.strictEqual(power.getState(), "sleeping");
+        assert.strictEqual(display.getRenderStats().frames, 0);
+
+        display.drawPixel(0, 0, SH1106_WHITE)._renderTick();
+        await display;
+        assert.strictEqual(power.getState(), "active");
+        assert.strictEqual(emulator.displayOn, true);
+        assert.strictEqual(display.getRenderStats().frames, 1);
+        assert.strictEqual(emulator.getRamPixel(2, 0), 1);
+        power.stop();
+    });
+
+    it("keeps dimming set by the application", async () => {
+        const {display, emulator} = await createDisplay();
+        const power = new SH1106_PowerManager(display, {sleepTimeout:null});
+        display.dim(true);
+        power.sleep();
+        power.wake();
+        await display;
+        assert.strictEqual(emulator.contrast, 0);
+        power.stop();
+    });
+
+    it("stops on shutdown and detaches", async t => {
+        const {display} = await createDisplay();
+        t.mock.timers.enable({apis:["setTimeout"]});
+        const power = new SH1106_PowerManager(display, {idleTimeout:10, sleepTimeout:20});
+        await display.shutdown();
+        assert.strictEqual(display._powerManager, null);
+        t.mock.timers.tick(40);
+        assert.strictEqual(power.getState(), "active");
+    });
+
+    it("validates options", async () => {
+        const {display} = await createDisplay();
+        assert.throws(() => new SH1106_PowerManager(display, {idleTimeout:0}), /Invalid idleTimeout/);
+        const power = new SH1106_PowerManager(display, {sleepTimeout:null, idleTimeout:null});
+        assert.throws(() => new SH1106_PowerManager(display), /already has a power manager/);
+        power.stop();
+    });
+});
@@ -0,0 +1,58 @@
+'use strict';
+const {describe, it} = require("node:test");
+const assert = require("node:assert");
+
+const {createDisplay} = require("./helpers");
+
+// Command bytes sent since the log was last cleared.
+function sentCommands(emulator) {
+    return emulator.log.filter(e => e.type === "command").map(e => e.bytes[0]);
+}
+
+
+describe("pump voltage and DC-DC", () => {
+    it("uses the reset values by default", async () => {
+        const {display, emulator} = await createDisplay();
+        assert.strictEqual(emulator.pumpVoltage, 2);
+        assert.strictEqual(emulator.dcdcOn, true);
+        assert.strictEqual(display.getPumpVoltage(), 8.0);
+        assert.strictEqual(display.isDCDCEnabled(), true);
+    });
+
+    it("sends the constructor options in begin()", async () => {
+        const {emulator} = await createDisplay({pumpVoltage:9.0, dcdc:false});
+        assert.strictEqual(emulator.pumpVoltage, 3);
+        assert.strictEqual(emulator.dcdcOn, false);
+    });
+
+    it("rejects invalid voltages", async () => {
+        assert.throws(() => new (require("./helpers").Adafruit_SH1106_Emulated)({width:128, height:64, pumpVoltage:7}), /Invalid pumpVoltage: 7. Expected one of 6.4, 7.4, 8.0, 9.0./);
+        const {display} = await createDisplay();
+        assert.throws(() => display.setPumpVoltage("high"), /Invalid pumpVoltage/);
+    });
+
+    it("turns the panel off while changing the pump voltage", async () => {
+        const {display, emulator} = await createDisplay();
+        await display.setPumpVoltage(6.4);
+        assert.deepStrictEqual(sentCommands(emulator), [0xAE, 0x30, 0xAF]);
+        assert.strictEqual(emulator.displayOn, true);
+    });
+
+    it("leaves a panel that is off turned off", async () => {
+        const {display, emulator} = await createDisplay();
+        await display.enableDisplay(false);
+        emulator.clearLog();
+        await display.enableDCDC(false).setPumpVoltage(7.4);
+        assert.deepStrictEqual(sentCommands(emulator), [0xAD, 0x8A, 0x31]);
+        assert.strictEqual(emulator.displayOn, false);
+        assert.strictEqual(emulator.dcdcOn, false);
+    });
+
+    it("waits for the DC-DC converter before turning the panel back on", async () => {
+        const {display, emulator} = await createDisplay({dcdc:false});
+        const start = Date.now();
+        await display.enableDCDC(true);
+        assert.ok(Date.now() - start >= 90);
+        assert.deepStrictEqual(sentCommands(emulator), [0xAE, 0xAD, 0x8B, 0xAF]);
+    });
+});
@@ -0,0 +1,59 @@
+'use strict';
+const {describe, it} = require("node:test");
+const assert = require("node:assert");
+
+const {Adafruit_SH1106_Colors} = require("../index");
+const {createDisplay, logicalPixel} = require("./helpers");
+const {SH1106_WHITE} = Adafruit_SH1106_Colors;
+
+
+describe("pixel readback", () => {
+    it("getPixel() reads logical coordinates at any rotation", async () => {
+        const {display} = await createDisplay();
+        for (const rotation of [0, 1, 2, 3]) {
+            display.setRotation(rotation).clearDisplay();
+            display.drawPixel(3, 7, SH1106_WHITE).drawFastHLine(10, 20, 5, SH1106_WHITE);
+            assert.strictEqual(display.getPixel(3, 7), 1);
+            assert.strictEqual(display.getPixel(7, 3), 0);
+            assert.strictEqual(display.getPixel(14, 20), 1);
+            assert.strictEqual(display.getPixel(15, 20), 0);
+            assert.strictEqual(display.getPixel(-1, 0), 0);
+            assert.strictEqual(display.getPixel(display.width(), 0), 0);
+            for (let y = 0; y < display.height(); y += 5) {
+                for (let x = 0; x < display.width(); x += 3) {
+                    assert.strictEqual(display.getPixel(x, y), logicalPixel(display, x, y));
+                }
+            }
+        }
+    });
+
+    it("getRegion() returns a bitmap usable with draw1BitBitmap()", async () => {
+        const {display} = await createDisplay();
+        display.setRotation(1);
+        display.drawCircle(20, 20, 9, SH1106_WHITE).drawLine(0, 0, 30, 40, SH1106_WHITE);
+        const region = display.getRegion(5, 5, 30, 30);
+        assert.deepStrictEqual([region.width, region.height, region.data.length], [30, 30, 4 * 30]);
+        const {display: copy} = await createDisplay();
+        copy.setRotation(1);
+        copy.draw1BitBitmap(5, 5, region.data, region.width, region.height, SH1106_WHITE);
+        assert.strictEqual(copy.countPixels(), display.countPixels(5, 5, 30, 30));
+        for (let y = 5; y < 35; y++) {
+            for (let x = 5; x < 35; x++) {
+                assert.strictEqual(copy.getPixel(x, y), display.getPixel(x, y));
+            }
+        }
+        assert.deepStrictEqual(Array.from(display.getRegion(-8, 0, 8, 1).data), [0]);
+    });
+
+    it("countPixels() counts the buffer or a rectangle", async () => {
+        const {display} = await createDisplay();
+        assert.strictEqual(display.countPixels(), 0);
+        display.fillRect(10, 10, 7, 9, SH1106_WHITE);
+        assert.strictEqual(display.countPixels(), 63);
+        assert.strictEqual(display.countPixels(0, 0, 12, 12), 4);
+        display.setRotation(2);
+        assert.strictEqual(display.countPixels(128 - 12, 64 - 12, 12, 12), 4);
+        assert.throws(() => display.countPixels(0, 0), /Invalid w/);
+        assert.throws(() => display.countPixels(0, 0, 12), /Invalid h/);
+    });
+});
@@ -0,0 +1,120 @@
+'use strict';
+const {describe, it} = require("node:test");
+const assert = require("node:assert");
+
+const {Adafruit_SH1106_Colors} = require("../index");
+const {createDisplay} = require("./helpers");
+const {SH1106_WHITE} = Adafruit_SH1106_Colors;
+
+const dataCount = emulator => emulator.log.filter(e => e.type === "data").length;
+
+
+describe("frame scheduler", () => {
+    it("coalesces drawing into one display() per tick", async () => {
+        const {display, emulator} = await createDisplay();
+        display.drawPixel(0, 0, SH1106_WHITE).drawPixel(1, 0, SH1106_WHITE).drawPixel(0, 8, SH1106_WHITE);
+        display._renderTick();
+        await display;
+        assert.strictEqual(dataCount(emulator), 2);
+        assert.strictEqual(emulator.getRamPixel(3, 0), 1);
+        assert.strictEqual(display.getRenderStats().frames, 1);
+    });
+
+    it("sends nothing when clean", async () => {
+        const {display, emulator} = await createDisplay();
+        display._renderTick();
+        await display;
+        assert.deepStrictEqual(emulator.log, []);
+        assert.strictEqual(display.getRenderStats().frames, 0);
+    });
+
+    it("requestFrame() forces a frame", async () => {
+        const {display} = await createDisplay();
+        display.requestFrame()._renderTick();
+        await display;
+        assert.strictEqual(display.getRenderStats().frames, 1);
+    });
+
+    it("requestFrame() sends changes made to _buffer directly", async () => {
+        const {display, emulator} = await createDisplay();
+        display._buffer[5] = 0xFF;
+        display.requestFrame()._renderTick();
+        await display;
+        assert.strictEqual(dataCount(emulator), 8);
+        assert.strictEqual(emulator.getRamPixel(7, 3), 1);
+    });
+
+    it("recovers from a failed transfer", async () => {
+        const {display, emulator} = await createDisplay();
+        const data = emulator.data;
+        emulator.data = _ => {
+            throw new Error("Bus error");
+        };
+        display.drawPixel(0, 0, SH1106_WHITE)._renderTick();
+        await display;
+        const stats = display.getRenderStats();
+        assert.deepStrictEqual([stats.frames, stats.errors, stats.lastError.message], [0, 1, "Bus error"]);
+        assert.strictEqual(display._frameInFlight, false);
+
+        // The bus works again - the next frame re-sends the whole buffer.
+        emulator.data = data;
+        emulator.clearLog();
+        display.drawPixel(1, 0, SH1106_WHITE)._renderTick();
+        await display;
+        assert.strictEqual(display.getRenderStats().frames, 1);
+        assert.strictEqual(dataCount(emulator), 8);
+        assert.deepStrictEqual([emulator.getRamPixel(2, 0), emulator.getRamPixel(3, 0)], [1, 1]);
+    });
+
+    it("counts ticks while a frame is in flight as dropped", async () => {
+        const {display} = await createDisplay();
+        display.drawPixel(0, 0, SH1106_WHITE)._renderTick();
+        display.drawPixel(1, 0, SH1106_WHITE)._renderTick();
+        await display;
+        assert.deepStrictEqual([display.getRenderStats().frames, display.getRenderStats().dropped], [1, 1]);
+        display._renderTick();
+        await display;
+        assert.strictEqual(display.getRenderStats().frames, 2);
+    });
+
+    it("pauses while the display is disabled", async () => {
+        const {display, emulator} = await createDisplay();
+        await display.enableDisplay(false);
+        emulator.clearLog();
+        display.drawPixel(0, 0, SH1106_WHITE)._renderTick();
+        await display;
+        assert.strictEqual(dataCount(emulator), 0);
+        display.enableDisplay(true)._renderTick();
+        await display;
+        assert.strictEqual(dataCount(emulator), 1);
+    });
+
+    it("runs on a timer until stopRenderLoop()", async t => {
+        const {display, emulator} = await createDisplay();
+        t.mock.timers.enable({apis:["setInterval"]});
+        display.startRenderLoop({fps:100});
+        display.drawPixel(0, 0, SH1106_WHITE);
+        t.mock.timers.tick(10);
+        await display;
+        display.drawPixel(5, 0, SH1106_WHITE);
+        t.mock.timers.tick(10);
+        await display;
+        t.mock.timers.tick(30);
+        await display;
+        display.stopRenderLoop();
+        display.drawPixel(10, 0, SH1106_WHITE);
+        t.mock.timers.tick(10);
+        await display;
+        assert.strictEqual(dataCount(emulator), 2);
+        assert.strictEqual(display.getRenderStats().frames, 2);
+        assert.ok(display.getRenderStats().averageFrameMs >= 0);
+    });
+
+    it("validates fps and stops on shutdown", async () => {
+        const {display} = await createDisplay();
+        assert.throws(() => display.startRenderLoop({fps:0}), /Invalid fps/);
+        display.startRenderLoop();
+        await display.shutdown();
+        assert.strictEqual(display._renderTimer, null);
+    });
+});
@@ -0,0 +1,61 @@
+'use strict';
+const {describe, it} = require("node:test");
+const assert = require("node:assert");
+
+const {createDisplay} = require("./helpers");
+
+
+describe("vertical scrolling", () => {
+    it("sends the startLine option as a single command", async () => {
+        const {emulator} = await createDisplay({startLine:5});
+        assert.strictEqual(emulator.startLine, 5);
+    });
+
+    it("scrollVertical() moves the start line and wraps", async () => {
+        const {display, emulator} = await createDisplay({startLine:2});
+        await display.scrollVertical(10);
+        assert.strictEqual(emulator.startLine, 12);
+        await display.scrollVertical(-3);
+        assert.strictEqual(display.getScrollOffset(), 61);
+        assert.strictEqual(emulator.startLine, 63);
+        await display.scrollVertical(0);
+        assert.strictEqual(emulator.startLine, 2);
+        assert.ok(emulator.log.every(e => e.type === "command"));
+    });
+
+    it("does not change drawing coordinates", async () => {
+        const {display, emulator} = await createDisplay();
+        display.scrollVertical(8).drawPixel(0, 0, 1);
+        await display.display();
+        assert.strictEqual(emulator.getRamPixel(2, 0), 1);
+        assert.strictEqual(emulator.getScreenPixel(2, 56), 1);
+    });
+
+    it("startScroll() drives the start line until stopScroll()", async t => {
+        const {display, emulator} = await createDisplay();
+        t.mock.timers.enable({apis:["setInterval"]});
+        display.startScroll({speed:200, direction:"down"});
+        t.mock.timers.tick(60);
+        display.stopScroll();
+        await display;
+        const offset = display.getScrollOffset();
+        assert.strictEqual(offset, 52);
+        assert.strictEqual(emulator.startLine, offset);
+        t.mock.timers.tick(20);
+        assert.strictEqual(display.getScrollOffset(), offset);
+    });
+
+    it("validates scroll options", async () => {
+        const {display} = await createDisplay();
+        assert.throws(() => display.startScroll({speed:0}), /Invalid speed/);
+        assert.throws(() => display.startScroll({direction:"left"}), /Invalid direction/);
+        assert.throws(() => display.scrollVertical(1.5), /Invalid lines/);
+    });
+
+    it("stops scrolling on shutdown", async () => {
+        const {display} = await createDisplay();
+        display.startScroll();
+        await display.shutdown();
+        assert.strictEqual(display._scrollTimer, null);
+    });
+});
@@ -0,0 +1,95 @@
+'use strict';
+const {describe, it} = require("node:test");
+const assert = require("node:assert");
+
+const {Adafruit_SH1106_Colors} = require("../index");
+const {Adafruit_SH1106_Emulated, createDisplay} = require("./helpers");
+const {SH1106_WHITE} = Adafruit_SH1106_Colors;
+
+const dataRuns = emulator => emulator.log.filter(e => e.type === "data").map(e => [e.page, e.column, e.bytes.length]);
+
+
+describe("shadow RAM", () => {
+    it("skips redrawn content that did not change", async () => {
+        const {display, emulator} = await createDisplay({shadowRam:true});
+        display.fillRect(10, 10, 20, 20, SH1106_WHITE);
+        await display.display();
+        emulator.clearLog();
+        display.resetShadowStats();
+
+        display.clearDisplay().fillRect(10, 10, 20, 20, SH1106_WHITE);
+        await display.display();
+        assert.deepStrictEqual(emulator.log, []);
+        assert.deepStrictEqual(display.getShadowStats(), {bytesSent:0, bytesSaved:8 * 128, runs:0});
+    });
+
+    it("sends only the changed runs", async () => {
+        const {display, emulator} = await createDisplay({shadowRam:true});
+        display.drawPixel(0, 0, SH1106_WHITE).drawPixel(100, 0, SH1106_WHITE).drawPixel(50, 9, SH1106_WHITE);
+        await display.display();
+        emulator.clearLog();
+
+        display.fillScreen(0).drawPixel(0, 0, SH1106_WHITE).drawPixel(101, 0, SH1106_WHITE).drawPixel(50, 9, SH1106_WHITE);
+        await display.display();
+        assert.deepStrictEqual(dataRuns(emulator), [[0, 102, 2]]);
+        assert.strictEqual(emulator.getRamPixel(103, 0), 1);
+        assert.strictEqual(emulator.getRamPixel(102, 0), 0);
+    });
+
+    it("merges runs separated by small gaps", async () => {
+        const {display, emulator} = await createDisplay({shadowRam:true});
+        await display.display();
+        emulator.clearLog();
+
+        display.drawPixel(0, 0, SH1106_WHITE).drawPixel(4, 0, SH1106_WHITE).drawPixel(9, 0, SH1106_WHITE);
+        await display.display();
+        // Gap of 3 is merged, gap of 4 is not.
+        assert.deepStrictEqual(dataRuns(emulator), [[0, 2, 5], [0, 11, 1]]);
+        assert.deepStrictEqual(display.getShadowStats(), {bytesSent:6, bytesSaved:4, runs:2});
+    });
+
+    it("honors shadowMergeGap", async () => {
+        const {display, emulator} = await createDisplay({shadowRam:true, shadowMergeGap:10});
+        await display.display();
+        emulator.clearLog();
+        display.drawPixel(0, 0, SH1106_WHITE).drawPixel(9, 0, SH1106_WHITE);
+        await display.display();
+        assert.deepStrictEqual(dataRuns(emulator), [[0, 2, 10]]);
+    });
+
+    it("sends the whole buffer after invalidateShadowRam()", async () => {
+        const {display, emulator} = await createDisplay({shadowRam:true});
+        display.invalidateShadowRam();
+        await display.display();
+        assert.strictEqual(dataRuns(emulator).length, 8);
+        assert.ok(dataRuns(emulator).every(run => run[2] === 128));
+    });
+
+    it("sends the whole buffer after a failed transfer", async () => {
+        const {display, emulator} = await createDisplay({shadowRam:true});
+        const data = emulator.data;
+        emulator.data = _ => {
+            throw new Error("Bus error");
+        };
+        display.fillRect(10, 10, 20, 20, SH1106_WHITE);
+        await assert.rejects(async () => await display.display(), /Bus error/);
+
+        emulator.data = data;
+        display._queue = Promise.resolve();
+        await display.display();
+        assert.strictEqual(dataRuns(emulator).length, 8);
+        assert.strictEqual(emulator.getRamPixel(12, 10), 1);
+    });
+
+    it("is off by default", async () => {
+        const {display, emulator} = await createDisplay();
+        display.fillScreen(0);
+        await display.display();
+        assert.strictEqual(dataRuns(emulator).length, 8);
+        assert.deepStrictEqual(display.getShadowStats(), {bytesSent:0, bytesSaved:0, runs:0});
+    });
+
+    it("validates shadowMergeGap", () => {
+        assert.throws(() => new Adafruit_SH1106_Emulated({width:128, height:64, shadowRam:true, shadowMergeGap:-1}), /shadowMergeGap/);
+    });
+});
@@ -0,0 +1,76 @@
+'use strict';
+const {describe, it} = require("node:test");
+const assert = require("node:assert");
+const os = require("os");
+const path = require("path");
+const fs = require("fs");
+const {execFileSync} = require("child_process");
+
+const {Adafruit_SH1106_Emulated, createDisplay, countRaw, rawPixel} = require("./helpers");
+
+const SCRIPTS = path.join(__dirname, "..", "scripts");
+
+
+describe("splash option", () => {
+    it("draws a bitmap centered", async () => {
+        const {display} = await createDisplay({noSplash:false, splash:{width:8, height:2, data:[0xFF, 0x81]}});
+        assert.strictEqual(countRaw(display), 10);
+        assert.strictEqual(rawPixel(display, 60, 31), 1);
+        assert.strictEqual(rawPixel(display, 67, 32), 1);
+        assert.strictEqual(rawPixel(display, 61, 32), 0);
+    });
+
+    it("calls a render function", async () => {
+        let called = null;
+        const {display} = await createDisplay({noSplash:false, splash:d => {called = d; d.drawPixel(0, 0, 1);}});
+        assert.strictEqual(called, display);
+        assert.strictEqual(countRaw(display), 1);
+    });
+
+    it("rejects an asynchronous render function", async () => {
+        const {display} = await createDisplay({noSplash:false, splash:d => d.drawPixel(0, 0, 1)});
+        assert.strictEqual(countRaw(display), 1);
+        await assert.rejects(createDisplay({noSplash:false, splash:async d => d.drawPixel(0, 0, 1)}), /Invalid splash/);
+    });
+
+    it("loads an image path and scales it to fit", async () => {
+        const {display: source} = await createDisplay({width:64, height:64});
+        source.fillRect(0, 0, 64, 64, 1);
+        const file = path.join(os.tmpdir(), "sh1106-splash-" + process.pid + ".png");
+        fs.writeFileSync(file, source.toPNG());
+        try {
+            const {display} = await createDisplay({height:32, noSplash:false, splash:file});
+            assert.strictEqual(countRaw(display), 32 * 32);
+            assert.strictEqual(rawPixel(display, 48, 0), 1);
+            assert.strictEqual(rawPixel(display, 47, 0), 0);
+        } finally {
+            fs.unlinkSync(file);
+        }
+    });
+
+    it("is skipped with noSplash", async () => {
+        const {display} = await createDisplay({splash:{width:8, height:1, data:[0xFF]}});
+        assert.strictEqual(countRaw(display), 0);
+    });
+
+    it("rejects invalid splash values", () => {
+        const create = splash => new Adafruit_SH1106_Emulated({width:128, height:64, splash});
+        assert.throws(() => create({width:8, height:2, data:[0xFF]}), /Invalid splash/);
+        assert.throws(() => create(42), /Invalid splash/);
+        assert.throws(() => create("/nonexistent/splash.png"), /ENOENT/);
+    });
+});
+
+
+describe("make_splash.js", () => {
+    it("regenerates the bundled splash modules", () => {
+        for (const id of ["splash1", "splash2"]) {
+            const out = execFileSync(process.execPath, [path.join(SCRIPTS, "make_splash.js"), path.join(SCRIPTS, id + ".png"), id]);
+            assert.strictEqual(out.toString(), fs.readFileSync(path.join(__dirname, "..", "lib", id + ".js"), "utf8"));
+        }
+    });
+
+    it("prints usage without arguments", () => {
+        assert.throws(() => execFileSync(process.execPath, [path.join(SCRIPTS, "make_splash.js")], {stdio:"pipe"}), /Usage/);
+    });
+});
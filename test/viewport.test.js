@@ -0,0 +1,66 @@
+'use strict';
+const {describe, it} = require("node:test");
+const assert = require("node:assert");
+
+const {Adafruit_SH1106_Colors} = require("../index");
+const {Adafruit_SH1106_Emulated, createDisplay, countRaw, logicalPixel} = require("./helpers");
+const {SH1106_WHITE} = Adafruit_SH1106_Colors;
+
+
+describe("virtual canvas", () => {
+    it("is created from the virtualWidth/virtualHeight options", async () => {
+        const {display} = await createDisplay({virtualWidth:512});
+        const canvas = display.getVirtualCanvas();
+        assert.deepStrictEqual([canvas.width(), canvas.height()], [512, 64]);
+        const {display: plain} = await createDisplay();
+        assert.strictEqual(plain.getVirtualCanvas(), null);
+        assert.throws(() => plain.setViewport(0, 0), /No virtual canvas/);
+    });
+
+    it("copies the viewport into the buffer", async () => {
+        const {display, emulator} = await createDisplay({virtualWidth:512});
+        const canvas = display.getVirtualCanvas();
+        canvas.fillRect(300, 10, 20, 4, SH1106_WHITE);
+        canvas.drawPixel(511, 63, SH1106_WHITE);
+        display.fillScreen(SH1106_WHITE);
+        display.setViewport(290, 0);
+        assert.strictEqual(countRaw(display), 80);
+        assert.strictEqual(logicalPixel(display, 10, 10), 1);
+        assert.strictEqual(logicalPixel(display, 9, 10), 0);
+        await display.display();
+        assert.strictEqual(emulator.getRamPixel(12, 10), 1);
+
+        // Limited to the canvas.
+        display.setViewport(1000, 5);
+        assert.deepStrictEqual(display.getViewport(), {x:384, y:0});
+        assert.strictEqual(countRaw(display), 1);
+        assert.strictEqual(logicalPixel(display, 127, 63), 1);
+    });
+
+    it("applies the display rotation", async () => {
+        const {display} = await createDisplay({virtualHeight:256});
+        display.setRotation(1);
+        const canvas = display.getVirtualCanvas();
+        canvas.drawFastHLine(0, 100, 64, SH1106_WHITE);
+        display.setViewport(0, 100);
+        // The canvas is in display coordinates - 64 wide once rotated.
+        assert.strictEqual(countRaw(display), 64);
+        assert.strictEqual(logicalPixel(display, 0, 0), 1);
+        assert.strictEqual(logicalPixel(display, 63, 0), 1);
+    });
+
+    it("sends only changes when panning with shadow RAM", async () => {
+        const {display, emulator} = await createDisplay({virtualWidth:256, shadowRam:true});
+        display.getVirtualCanvas().fillRect(0, 0, 256, 8, SH1106_WHITE);
+        display.setViewport(0, 0);
+        await display.display();
+        emulator.clearLog();
+        display.setViewport(64, 0);
+        await display.display();
+        assert.deepStrictEqual(emulator.log, []);
+    });
+
+    it("validates options", () => {
+        assert.throws(() => new Adafruit_SH1106_Emulated({width:128, height:64, virtualWidth:0}), /Invalid virtualWidth/);
+    });
+});